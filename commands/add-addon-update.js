@@ -5,8 +5,12 @@
  * This command allows users to add an automatic addon updater notification to a channel.
  */
 
-const { sendConfirmationDialogue, isNotification, addNotification, getChannelNotifications } = require('../modules/common');
+const { channelLimits, sendConfirmationDialogue, isNotification, addNotification, updateNotification, getChannelNotifications } = require('../modules/common');
+const { getPublishedFile, formatSteamError } = require('../modules/steam');
+const { formatMentions } = require('../modules/mentions');
+const { cacheItemDetails } = require('../modules/item-cache');
 const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
 
 const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
 
@@ -14,13 +18,21 @@ module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('add-addon-update')
 		.setDescription('Add an automatic addon updater notification to this channel. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.add-addon-update.description'))
 
 		.addStringOption(option =>
 			option.setName('id')
 				.setDescription('The ID of the Steam Workshop Addon.')
+				.setDescriptionLocalizations(getLocalizations('commands.add-addon-update.options.id'))
 				.setRequired(true)
 				.setMaxLength(20)
-				.setMinLength(1)),
+				.setMinLength(1))
+
+		.addMentionableOption(option =>
+			option.setName('mention')
+				.setDescription('A role or user to mention when this addon is updated.')
+				.setDescriptionLocalizations(getLocalizations('commands.add-addon-update.options.mention'))
+				.setRequired(false)),
 	async execute(interaction) {
 		let error_count = 0;
 		let error_message = '';
@@ -30,79 +42,52 @@ module.exports = {
             interaction.guild.ownerId !== interaction.user.id
 		) {
 			error_count += 1;
-			error_message = 'You must have Administrator permissions or be the Server Owner to use this command.';
+			error_message = t(interaction.locale, 'errors.administratorRequired');
 		}
 
 		const id = interaction.options.getString('id');
 		if (!id) {
 			error_count += 1;
-			error_message = 'The ID of the Steam Workshop Addon is required.';
+			error_message = t(interaction.locale, 'commands.add-addon-update.idRequired');
 		}
 
 		if (id && (id.length < 1 || id.length > 20)) {
 			error_count += 1;
-			error_message = 'The ID must be between 1 and 20 characters long.';
+			error_message = t(interaction.locale, 'common.validation.idLength');
 		}
 
 		if (id && !/^\d+$/.test(id)) {
 			error_count += 1;
-			error_message = 'The ID must be a valid numeric Steam Workshop ID.';
+			error_message = t(interaction.locale, 'common.validation.idNumeric');
 		}
 
-		const params = new URLSearchParams();
-		params.append('itemcount', '1');
-		params.append('publishedfileids[0]', id);
-
-		const response = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/', {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/x-www-form-urlencoded',
-			},
-			body: params.toString(),
-		});
-
-		if (!response.ok) {
+		const mention = interaction.options.get('mention');
+		if (mention?.role && mention.role.id === interaction.guildId) {
 			error_count += 1;
-			error_message = `Failed to fetch data from the Steam API: ${response.statusText}`;
+			error_message = t(interaction.locale, 'common.validation.everyoneMention');
 		}
 
-		const data = await response.json();
+		let fileDetails = null;
 
-		if (
-			!data.response ||
-            !data.response.result ||
-            data.response.result === 0 ||
-            !data.response.resultcount ||
-            data.response.resultcount === 0 ||
-            !data.response.publishedfiledetails ||
-            data.response.publishedfiledetails.length === 0
-		) {
-			error_count += 1;
-			error_message = 'No details found for the provided ID or the ID is invalid.';
-		}
-		else {
-			const fileDetails = data.response.publishedfiledetails[0];
+		if (error_count < 1) {
+			// Steam requests are retried on failure and can take longer than Discord waits for a reply.
+			await interaction.deferReply({ flags: 64 });
 
-			if (
-				!fileDetails.publishedfileid ||
-                fileDetails.publishedfileid !== id ||
-                fileDetails.result === undefined
-			) {
-				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
-			}
+			const result = await getPublishedFile(id);
 
-			if (Object.keys(data.response.publishedfiledetails[0]).length < 3) {
+			if (result.ok) {
+				fileDetails = result.data;
+			}
+			else {
 				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
+				error_message = formatSteamError(interaction.locale, result.error);
 			}
 		}
 
-		const addonChannelLimit = 5;
 		const channelNotifications = getChannelNotifications(interaction.guildId, interaction.channelId);
-		if (channelNotifications.filter(n => n.type === 'addon-update').length >= addonChannelLimit) {
+		if (channelNotifications.filter(n => n.type === 'addon-update').length >= channelLimits['addon-update']) {
 			error_count += 1;
-			error_message = `This channel already has the maximum number of addon updater notifications (${addonChannelLimit}). Please remove an existing notification before adding a new one.`;
+			error_message = t(interaction.locale, 'commands.add-addon-update.channelLimit', { limit: channelLimits['addon-update'] });
 		}
 
 		if (error_count < 1) {
@@ -110,17 +95,18 @@ module.exports = {
 			const channelId = interaction.channelId;
 			const channelName = interaction.channel.name;
 
-			if (await sendConfirmationDialogue(interaction, 'Addon Update Notification Confirmation', 'You are about to set up and addon auto-updater notification to this channel.\n\nDo you want to proceed?', {
-				'Addon ID': id,
-				'Channel ID': channelId,
-				'Channel Name': channelName,
-				'Type': 'Addon Update',
+			if (await sendConfirmationDialogue(interaction, t(interaction.locale, 'commands.add-addon-update.confirmationTitle'), t(interaction.locale, 'commands.add-addon-update.confirmationDescription'), {
+				[t(interaction.locale, 'common.fields.addonId')]: id,
+				[t(interaction.locale, 'common.fields.channelId')]: channelId,
+				[t(interaction.locale, 'common.fields.channelName')]: channelName,
+				[t(interaction.locale, 'common.fields.type')]: t(interaction.locale, 'common.types.addonUpdate'),
+				[t(interaction.locale, 'common.fields.mention')]: mention ? `@${mention.role?.name || mention.user?.username}` : null,
 			}, 'add-addon-update-confirmation')) {
 				if (isNotification(guildId, channelId, 'addon-update', id)) {
 					try {
 						await sendErrorMessage(interaction, {
 							'Command Name': interaction.commandName,
-							'Error Details': 'An addon update notification for this ID already exists in this channel.',
+							'Error Details': t(interaction.locale, 'commands.add-addon-update.alreadyExists'),
 						});
 					}
 					catch (sendError) {
@@ -130,10 +116,20 @@ module.exports = {
 				}
 
 				addNotification(guildId, channelId, 'addon-update', id);
+				cacheItemDetails([fileDetails]);
+
+				const mentions = {
+					roles: mention?.role ? [mention.role.id] : [],
+					users: mention?.user ? [mention.user.id] : [],
+				};
+
+				if (mention) {
+					updateNotification(guildId, channelId, 'addon-update', id, { mentions });
+				}
 
 				const successEmbed = new EmbedBuilder()
-					.setTitle('Auto Updater Notification Added')
-					.setDescription('An automatic addon updater notification has been successfully added to this channel.')
+					.setTitle(t(interaction.locale, 'commands.add-addon-update.successTitle'))
+					.setDescription(t(interaction.locale, 'commands.add-addon-update.successDescription'))
 					.setColor('#00FF00')
 					.setFooter({
 						text: interaction.client.user.displayName,
@@ -142,9 +138,10 @@ module.exports = {
 					.setTimestamp();
 
 				successEmbed.addFields(
-					{ name: 'Addon ID', value: id, inline: true },
-					{ name: 'Channel ID', value: channelId, inline: true },
-					{ name: 'Channel Name', value: channelName, inline: true },
+					{ name: t(interaction.locale, 'common.fields.addonId'), value: id, inline: true },
+					{ name: t(interaction.locale, 'common.fields.channelId'), value: channelId, inline: true },
+					{ name: t(interaction.locale, 'common.fields.channelName'), value: channelName, inline: true },
+					{ name: t(interaction.locale, 'common.fields.mention'), value: formatMentions(mentions, interaction.locale), inline: true },
 				);
 
 				if (interaction.replied || interaction.deferred) {
@@ -5,22 +5,34 @@
  * This command allows users to add an automatic collection updater notification to a channel.
  */
 
-const { sendConfirmationDialogue, isNotification, addNotification, getChannelNotifications } = require('../modules/common');
+const { channelLimits, sendConfirmationDialogue, isNotification, addNotification, updateNotification, getChannelNotifications } = require('../modules/common');
+const { getPublishedFile, getCollection, formatSteamError } = require('../modules/steam');
+const { formatMentions } = require('../modules/mentions');
+const { cacheItemDetails } = require('../modules/item-cache');
 
 const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
 const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('add-collection-update')
 		.setDescription('Add an automatic collection updater notification to this channel. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.add-collection-update.description'))
 
 		.addStringOption(option =>
 			option.setName('id')
 				.setDescription('The ID of the Steam Workshop Collection.')
+				.setDescriptionLocalizations(getLocalizations('commands.add-collection-update.options.id'))
 				.setRequired(true)
 				.setMaxLength(20)
-				.setMinLength(1)),
+				.setMinLength(1))
+
+		.addMentionableOption(option =>
+			option.setName('mention')
+				.setDescription('A role or user to mention when this collection is updated.')
+				.setDescriptionLocalizations(getLocalizations('commands.add-collection-update.options.mention'))
+				.setRequired(false)),
 	async execute(interaction) {
 		let error_count = 0;
 		let error_message = '';
@@ -30,123 +42,61 @@ module.exports = {
             interaction.guild.ownerId !== interaction.user.id
 		) {
 			error_count += 1;
-			error_message = 'You must have Administrator permissions or be the Server Owner to use this command.';
+			error_message = t(interaction.locale, 'errors.administratorRequired');
 		}
 
 		const id = interaction.options.getString('id');
 		if (!id) {
 			error_count += 1;
-			error_message = 'The ID of the Steam Workshop Collection is required.';
+			error_message = t(interaction.locale, 'commands.add-collection-update.idRequired');
 		}
 
 		if (id && (id.length < 1 || id.length > 20)) {
 			error_count += 1;
-			error_message = 'The ID must be between 1 and 20 characters long.';
+			error_message = t(interaction.locale, 'common.validation.idLength');
 		}
 
 		if (id && !/^\d+$/.test(id)) {
 			error_count += 1;
-			error_message = 'The ID must be a valid numeric Steam Workshop ID.';
+			error_message = t(interaction.locale, 'common.validation.idNumeric');
 		}
 
-		const params = new URLSearchParams();
-		params.append('itemcount', '1');
-		params.append('publishedfileids[0]', id);
-
-		const response = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/', {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/x-www-form-urlencoded',
-			},
-			body: params.toString(),
-		});
-
-		if (!response.ok) {
+		const mention = interaction.options.get('mention');
+		if (mention?.role && mention.role.id === interaction.guildId) {
 			error_count += 1;
-			error_message = `Failed to fetch data from the Steam API: ${response.statusText}`;
+			error_message = t(interaction.locale, 'common.validation.everyoneMention');
 		}
 
-		const data = await response.json();
+		let fileDetails = null;
 
-		if (
-			!data.response ||
-            !data.response.result ||
-            data.response.result === 0 ||
-            !data.response.resultcount ||
-            data.response.resultcount === 0 ||
-            !data.response.publishedfiledetails ||
-            data.response.publishedfiledetails.length === 0
-		) {
-			error_count += 1;
-			error_message = 'No details found for the provided ID or the ID is invalid.';
-		}
-		else {
-			const fileDetails = data.response.publishedfiledetails[0];
+		if (error_count < 1) {
+			// Steam requests are retried on failure and can take longer than Discord waits for a reply.
+			await interaction.deferReply({ flags: 64 });
 
-			if (
-				!fileDetails.publishedfileid ||
-                fileDetails.publishedfileid !== id ||
-                fileDetails.result === undefined
-			) {
-				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
-			}
+			const result = await getPublishedFile(id);
 
-			if (Object.keys(data.response.publishedfiledetails[0]).length < 3) {
+			if (result.ok) {
+				fileDetails = result.data;
+			}
+			else {
 				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
+				error_message = formatSteamError(interaction.locale, result.error);
 			}
 		}
 
-		const collectionParams = new URLSearchParams();
-		collectionParams.append('collectioncount', '1');
-		collectionParams.append('publishedfileids[0]', id);
-
-		const collectionResponse = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetCollectionDetails/v1/', {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/x-www-form-urlencoded',
-			},
-			body: collectionParams.toString(),
-		});
-
-		if (!collectionResponse.ok) {
-			error_count += 1;
-			error_message = `Failed to fetch data from the Steam API: ${response.statusText}`;
-		}
-
-		const collectionData = await collectionResponse.json();
-
-		if (
-			!collectionData.response ||
-            !collectionData.response.result ||
-            collectionData.response.result === 0 ||
-            !collectionData.response.resultcount ||
-            collectionData.response.resultcount === 0 ||
-            !collectionData.response.collectiondetails ||
-            collectionData.response.collectiondetails.length === 0
-		) {
-			error_count += 1;
-			error_message = 'No details found for the provided ID or the ID is invalid. (Keep in mind collections must be public)';
-		}
-		else {
-			const collectionDetails = collectionData.response.collectiondetails[0];
+		if (error_count < 1) {
+			const result = await getCollection(id);
 
-			if (
-				!collectionDetails.publishedfileid ||
-                collectionDetails.publishedfileid !== id ||
-                collectionDetails.result === undefined
-			) {
+			if (!result.ok) {
 				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid. (Keep in mind collections must be public)';
+				error_message = formatSteamError(interaction.locale, result.error);
 			}
 		}
 
-		const collectionChannelLimit = 3;
 		const channelNotifications = getChannelNotifications(interaction.guildId, interaction.channelId);
-		if (channelNotifications.filter(n => n.type === 'collection-update').length >= collectionChannelLimit) {
+		if (channelNotifications.filter(n => n.type === 'collection-update').length >= channelLimits['collection-update']) {
 			error_count += 1;
-			error_message = `This channel already has the maximum number of collection updater notifications (${collectionChannelLimit}). Please remove an existing notification before adding a new one.`;
+			error_message = t(interaction.locale, 'commands.add-collection-update.channelLimit', { limit: channelLimits['collection-update'] });
 		}
 
 		if (error_count < 1) {
@@ -154,17 +104,18 @@ module.exports = {
 			const channelId = interaction.channelId;
 			const channelName = interaction.channel.name;
 
-			if (await sendConfirmationDialogue(interaction, 'Collection Update Notification Confirmation', 'You are about to set up and collection auto-updater notification to this channel.\n\nDo you want to proceed?', {
-				'Collection ID': id,
-				'Channel ID': channelId,
-				'Channel Name': channelName,
-				'Type': 'Collection Update',
+			if (await sendConfirmationDialogue(interaction, t(interaction.locale, 'commands.add-collection-update.confirmationTitle'), t(interaction.locale, 'commands.add-collection-update.confirmationDescription'), {
+				[t(interaction.locale, 'common.fields.collectionId')]: id,
+				[t(interaction.locale, 'common.fields.channelId')]: channelId,
+				[t(interaction.locale, 'common.fields.channelName')]: channelName,
+				[t(interaction.locale, 'common.fields.type')]: t(interaction.locale, 'common.types.collectionUpdate'),
+				[t(interaction.locale, 'common.fields.mention')]: mention ? `@${mention.role?.name || mention.user?.username}` : null,
 			}, 'collection-update-confirmation')) {
 				if (isNotification(guildId, channelId, 'collection-update', id)) {
 					try {
 						await sendErrorMessage(interaction, {
 							'Command Name': interaction.commandName,
-							'Error Details': 'An collection update notification for this ID already exists in this channel.',
+							'Error Details': t(interaction.locale, 'commands.add-collection-update.alreadyExists'),
 						});
 					}
 					catch (sendError) {
@@ -174,10 +125,20 @@ module.exports = {
 				}
 
 				addNotification(guildId, channelId, 'collection-update', id);
+				cacheItemDetails([fileDetails]);
+
+				const mentions = {
+					roles: mention?.role ? [mention.role.id] : [],
+					users: mention?.user ? [mention.user.id] : [],
+				};
+
+				if (mention) {
+					updateNotification(guildId, channelId, 'collection-update', id, { mentions });
+				}
 
 				const successEmbed = new EmbedBuilder()
-					.setTitle('Auto Updater Notification Added')
-					.setDescription('An automatic collection updater notification has been successfully added to this channel.')
+					.setTitle(t(interaction.locale, 'commands.add-collection-update.successTitle'))
+					.setDescription(t(interaction.locale, 'commands.add-collection-update.successDescription'))
 					.setColor('#00FF00')
 					.setFooter({
 						text: interaction.client.user.displayName,
@@ -186,9 +147,10 @@ module.exports = {
 					.setTimestamp();
 
 				successEmbed.addFields(
-					{ name: 'Collection ID', value: id, inline: true },
-					{ name: 'Channel ID', value: channelId, inline: true },
-					{ name: 'Channel Name', value: channelName, inline: true },
+					{ name: t(interaction.locale, 'common.fields.collectionId'), value: id, inline: true },
+					{ name: t(interaction.locale, 'common.fields.channelId'), value: channelId, inline: true },
+					{ name: t(interaction.locale, 'common.fields.channelName'), value: channelName, inline: true },
+					{ name: t(interaction.locale, 'common.fields.mention'), value: formatMentions(mentions, interaction.locale), inline: true },
 				);
 
 				if (interaction.replied || interaction.deferred) {
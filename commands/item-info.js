@@ -6,8 +6,9 @@
  */
 
 const { sendErrorMessage } = require('../modules/error');
-const { getAccountDetails, getGameDetails } = require('../modules/common');
-const { steamToDiscordFormatting, truncate } = require('../modules/formatting');
+const { t, getLocalizations } = require('../modules/i18n');
+const { getPublishedFile, getCollection, getPlayerSummary, getAppDetails, formatSteamError } = require('../modules/steam');
+const { steamToDiscordFormatting, truncate, formatDateTime } = require('../modules/formatting');
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 
@@ -15,10 +16,12 @@ module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('item-info')
 		.setDescription('Shows the update history of a Steam Workshop Addon or Collection.')
+		.setDescriptionLocalizations(getLocalizations('commands.item-info.description'))
 
 		.addStringOption(option =>
 			option.setName('id')
 				.setDescription('The ID of the Steam Workshop Addon or Collection.')
+				.setDescriptionLocalizations(getLocalizations('commands.item-info.options.id'))
 				.setRequired(true)
 				.setMaxLength(20)
 				.setMinLength(1))
@@ -26,10 +29,11 @@ module.exports = {
 		.addStringOption(option =>
 			option.setName('type')
 				.setDescription('The type of the item (Addon or Collection).')
+				.setDescriptionLocalizations(getLocalizations('commands.item-info.options.type'))
 				.setRequired(true)
 				.addChoices(
-					{ name: 'Addon', value: 'addon' },
-					{ name: 'Collection', value: 'collection' },
+					{ name: 'Addon', name_localizations: getLocalizations('common.types.addon'), value: 'addon' },
+					{ name: 'Collection', name_localizations: getLocalizations('common.types.collection'), value: 'collection' },
 				)),
 	async execute(interaction) {
 		let error_count = 0;
@@ -38,110 +42,83 @@ module.exports = {
 		const id = interaction.options.getString('id');
 		if (!id) {
 			error_count += 1;
-			error_message = 'The ID of the Steam Workshop Addon or Collection is required.';
+			error_message = t(interaction.locale, 'commands.item-info.idRequired');
 		}
 
 		if (id && (id.length < 1 || id.length > 20)) {
 			error_count += 1;
-			error_message = 'The ID must be between 1 and 20 characters long.';
+			error_message = t(interaction.locale, 'common.validation.idLength');
 		}
 
 		if (id && !/^\d+$/.test(id)) {
 			error_count += 1;
-			error_message = 'The ID must be a valid numeric Steam Workshop ID.';
+			error_message = t(interaction.locale, 'common.validation.idNumeric');
 		}
 
 		const type = interaction.options.getString('type');
 		if (!type || (type !== 'addon' && type !== 'collection')) {
 			error_count += 1;
-			error_message = 'The type of the item must be either \'Addon\' or \'Collection\'.';
+			error_message = t(interaction.locale, 'commands.item-info.invalidType');
 		}
 
 		let embedData = null;
 
-		const params = new URLSearchParams();
-		params.append('itemcount', '1');
-		params.append('publishedfileids[0]', id);
+		let fileDetails = null;
 
-		const response = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/', {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/x-www-form-urlencoded',
-			},
-			body: params.toString(),
-		});
-
-		if (!response.ok) {
-			error_count += 1;
-			error_message = `Failed to fetch data from the Steam API: ${response.statusText}`;
-		}
-
-		const data = await response.json();
+		if (error_count < 1) {
+			// Steam requests are retried on failure and can take longer than Discord waits for a reply.
+			await interaction.deferReply({ flags: 64 });
 
-		if (
-			!data.response ||
-            !data.response.result ||
-            data.response.result === 0 ||
-            !data.response.resultcount ||
-            data.response.resultcount === 0 ||
-            !data.response.publishedfiledetails ||
-            data.response.publishedfiledetails.length === 0
-		) {
-			error_count += 1;
-			error_message = 'No details found for the provided ID or the ID is invalid.';
-		}
-		else {
-			const fileDetails = data.response.publishedfiledetails[0];
+			const result = await getPublishedFile(id);
 
-			if (
-				!fileDetails.publishedfileid ||
-                fileDetails.publishedfileid !== id ||
-                fileDetails.result === undefined
-			) {
-				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
+			if (result.ok) {
+				fileDetails = result.data;
 			}
-
-			if (Object.keys(data.response.publishedfiledetails[0]).length < 3) {
+			else {
 				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
+				error_message = formatSteamError(interaction.locale, result.error);
 			}
 		}
 
-		const fileDetails = data.response.publishedfiledetails[0];
-		const title = `${fileDetails.title || 'Item Information'} (${id})`;
-		const description = steamToDiscordFormatting(fileDetails.description || 'No description available.', 512);
+		const title = `${fileDetails?.title || t(interaction.locale, 'commands.item-info.fallbackTitle')} (${id})`;
+		const description = steamToDiscordFormatting(fileDetails?.description || t(interaction.locale, 'commands.item-info.noDescription'), 512);
 
-		const steamId64 = fileDetails.creator || '0';
+		const steamId64 = fileDetails?.creator || '0';
 		let gameId;
 		if (type === 'addon') {
-			gameId = fileDetails.creator_app_id || '0';
+			gameId = fileDetails?.creator_app_id || '0';
 		}
 		else {
-			gameId = fileDetails.consumer_app_id || '0';
+			gameId = fileDetails?.consumer_app_id || '0';
 		}
 		let accountDetails = null;
 		let gameDetails = null;
 
 		if (error_count < 1) {
-			try {
-				accountDetails = await getAccountDetails(steamId64);
+			const accountResult = await getPlayerSummary(steamId64);
+
+			if (accountResult.ok) {
+				accountDetails = accountResult.data;
 			}
-			catch (error) {
-				console.error(`Error | Failed to fetch Steam account details: ${error.message}`);
+			else {
+				console.error(`Error | Failed to fetch Steam account details: ${accountResult.error.message}`);
 			}
 
-			try {
-				gameDetails = await getGameDetails(gameId);
+			const gameResult = await getAppDetails(gameId);
+
+			if (gameResult.ok) {
+				gameDetails = gameResult.data;
 			}
-			catch (error) {
-				console.error(`Error | Failed to fetch game details: ${error.message}`);
+			else {
+				console.error(`Error | Failed to fetch game details: ${gameResult.error.message}`);
 			}
 		}
 
-		const gameName = gameDetails ? gameDetails.name : 'Unknown Game';
+		const gameName = gameDetails ? gameDetails.name : t(interaction.locale, 'commands.item-info.unknownGame');
+		const visibilityKey = fileDetails?.visibility === 0 ? 'public' : fileDetails?.visibility === 1 ? 'friendsOnly' : 'private';
+		const visibility = t(interaction.locale, `notifications.visibility.${visibilityKey}`);
 
-		if (type === 'addon') {
+		if (error_count < 1 && type === 'addon') {
 			embedData = new EmbedBuilder()
 				.setTitle(title)
 				.setDescription(description)
@@ -153,73 +130,35 @@ module.exports = {
 				})
 				.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
 				.addFields(
-					{ name: 'Game', value: `${gameName} (${gameId})`, inline: true },
-					{ name: 'Visibility', value: fileDetails.visibility === 0 ? 'Public' : fileDetails.visibility === 1 ? 'Friends Only' : 'Private', inline: true },
-					{ name: 'File Size', value: `${(fileDetails.file_size / 1024 / 1024).toFixed(2)} MB`, inline: true },
-					{ name: 'Subscriptions', value: fileDetails.subscriptions ? fileDetails.subscriptions.toLocaleString() : '0', inline: true },
-					{ name: 'Favorites', value: fileDetails.favorited ? fileDetails.favorited.toLocaleString() : '0', inline: true },
-					{ name: 'Views', value: fileDetails.views ? fileDetails.views.toLocaleString() : '0', inline: true },
-					{ name: 'Created', value: new Date(fileDetails.time_created * 1000).toLocaleDateString(), inline: true },
-					{ name: 'Updated', value: new Date(fileDetails.time_updated * 1000).toLocaleDateString(), inline: true },
-					{ name: 'Tags', value: fileDetails.tags && fileDetails.tags.length > 0 ? fileDetails.tags.map(tag => `\`${truncate(tag.tag, 20)}\``).join(', ') : 'No tags available', inline: false },
+					{ name: t(interaction.locale, 'commands.item-info.fields.game'), value: `${gameName} (${gameId})`, inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.visibility'), value: visibility, inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.size'), value: `${(fileDetails.file_size / 1024 / 1024).toFixed(2)} MB`, inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.subscriptions'), value: fileDetails.subscriptions ? fileDetails.subscriptions.toLocaleString() : '0', inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.favorites'), value: fileDetails.favorited ? fileDetails.favorited.toLocaleString() : '0', inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.views'), value: fileDetails.views ? fileDetails.views.toLocaleString() : '0', inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.created'), value: formatDateTime(fileDetails.time_created), inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.updated'), value: formatDateTime(fileDetails.time_updated), inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.tags'), value: fileDetails.tags && fileDetails.tags.length > 0 ? fileDetails.tags.map(tag => `\`${truncate(tag.tag, 20)}\``).join(', ') : t(interaction.locale, 'commands.item-info.noTags'), inline: false },
 				)
 				.setTimestamp();
 
 			if (accountDetails) {
 				embedData.setAuthor({
-					name: accountDetails.personaname || 'Unknown Creator',
+					name: accountDetails.personaname || t(interaction.locale, 'notifications.unknownCreator'),
 					iconURL: accountDetails.avatarfull || 'https://cdn.discordapp.com/embed/avatars/0.png',
 					url: accountDetails.profileurl || 'https://steamcommunity.com/id/' + steamId64,
 				});
 			}
 		}
-		else if (type === 'collection') {
-			const params = new URLSearchParams();
-			params.append('collectioncount', '1');
-			params.append('publishedfileids[0]', id);
+		else if (error_count < 1 && type === 'collection') {
+			const collectionResult = await getCollection(id);
+			const collectionDetails = collectionResult.ok ? collectionResult.data : [];
 
-			const response = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetCollectionDetails/v1/', {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/x-www-form-urlencoded',
-				},
-				body: params.toString(),
-			});
-
-			if (!response.ok) {
+			if (!collectionResult.ok) {
 				error_count += 1;
-				error_message = `Failed to fetch data from the Steam API: ${response.statusText}`;
+				error_message = formatSteamError(interaction.locale, collectionResult.error);
 			}
 
-			const data = await response.json();
-
-			if (
-				!data.response ||
-                !data.response.result ||
-                data.response.result === 0 ||
-                !data.response.resultcount ||
-                data.response.resultcount === 0 ||
-                !data.response.collectiondetails ||
-                data.response.collectiondetails.length === 0
-			) {
-				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid. (Keep in mind collections must be public)';
-			}
-			else {
-				const collectionDetails = data.response.collectiondetails[0];
-
-				if (
-					!collectionDetails.publishedfileid ||
-                    collectionDetails.publishedfileid !== id ||
-                    collectionDetails.result === undefined
-				) {
-					error_count += 1;
-					error_message = 'No details found for the provided ID or the ID is invalid. (Keep in mind collections must be public)';
-				}
-			}
-
-			const collectionDetails = data.response.collectiondetails[0].children;
-
 			embedData = new EmbedBuilder()
 				.setTitle(title)
 				.setDescription(description)
@@ -231,19 +170,19 @@ module.exports = {
 				})
 				.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
 				.addFields(
-					{ name: 'Game', value: `${gameName} (${gameId})`, inline: true },
-					{ name: 'Visibility', value: fileDetails.visibility === 0 ? 'Public' : fileDetails.visibility === 1 ? 'Friends Only' : 'Private', inline: true },
-					{ name: 'Favorites', value: fileDetails.favorited ? fileDetails.favorited.toLocaleString() : '0', inline: true },
-					{ name: 'Views', value: fileDetails.views ? fileDetails.views.toLocaleString() : '0', inline: true },
-					{ name: 'Created', value: new Date(fileDetails.time_created * 1000).toLocaleDateString(), inline: true },
-					{ name: 'Updated', value: new Date(fileDetails.time_updated * 1000).toLocaleDateString(), inline: true },
-					{ name: 'Item Count', value: collectionDetails.length.toString(), inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.game'), value: `${gameName} (${gameId})`, inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.visibility'), value: visibility, inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.favorites'), value: fileDetails.favorited ? fileDetails.favorited.toLocaleString() : '0', inline: true },
+					{ name: t(interaction.locale, 'notifications.fields.views'), value: fileDetails.views ? fileDetails.views.toLocaleString() : '0', inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.created'), value: formatDateTime(fileDetails.time_created), inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.updated'), value: formatDateTime(fileDetails.time_updated), inline: true },
+					{ name: t(interaction.locale, 'commands.item-info.fields.itemCount'), value: collectionDetails.length.toString(), inline: true },
 				)
 				.setTimestamp();
 
 			if (accountDetails) {
 				embedData.setAuthor({
-					name: accountDetails.personaname || 'Unknown Creator',
+					name: accountDetails.personaname || t(interaction.locale, 'notifications.unknownCreator'),
 					iconURL: accountDetails.avatarfull || 'https://cdn.discordapp.com/embed/avatars/0.png',
 					url: accountDetails.profileurl || 'https://steamcommunity.com/id/' + steamId64,
 				});
@@ -268,7 +207,7 @@ module.exports = {
 			try {
 				await sendErrorMessage(interaction, {
 					'Command Name': interaction.commandName,
-					'Error Details': error_message || 'An unknown error occurred.',
+					'Error Details': error_message || t(interaction.locale, 'errors.unknown'),
 				});
 			}
 			catch (sendError) {
@@ -1,15 +1,21 @@
 const { removeNotification, isNotification, getChannelNotifications } = require('../modules/common');
 const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
+const { formatItemState } = require('../modules/lifecycle');
+const { withItemNames } = require('../modules/item-cache');
+const { truncate } = require('../modules/formatting');
 
 const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('remove-addon-update')
-		.setDescription('Remove an automatic addon updater notification to this channel. (Requires Administrator)')
+		.setDescription('Remove an automatic addon updater notification from this channel. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.remove-addon-update.description'))
 		.addStringOption(option =>
 			option.setName('id')
 				.setDescription('The ID of the Steam Workshop Addon.')
+				.setDescriptionLocalizations(getLocalizations('commands.remove-addon-update.options.id'))
 				.setRequired(true)
 				.setMaxLength(20)
 				.setMinLength(1)
@@ -17,7 +23,7 @@ module.exports = {
 	async autocomplete(interaction) {
 		try {
 			const focusedValue = interaction.options.getFocused();
-			const channelNotifications = getChannelNotifications(interaction.guildId, interaction.channelId);
+			const channelNotifications = withItemNames(getChannelNotifications(interaction.guildId, interaction.channelId));
 
 			const targetUpdates = channelNotifications.filter(n => n.type === 'addon-update');
 
@@ -27,10 +33,14 @@ module.exports = {
 			).slice(0, 25);
 
 			await interaction.respond(
-				filtered.map(n => ({
-					name: n.name ? `${n.name} (${n.id})` : n.id,
-					value: n.id,
-				})),
+				filtered.map(n => {
+					const state = formatItemState(n.state, interaction.locale);
+
+					return {
+						name: truncate(n.name ? `${n.name} (${n.id})` : n.id, 100 - state.length) + state,
+						value: n.id,
+					};
+				}),
 			);
 		}
 		catch (error) {
@@ -46,23 +56,23 @@ module.exports = {
             interaction.guild.ownerId !== interaction.user.id
 		) {
 			error_count += 1;
-			error_message = 'You must have Administrator permissions or be the Server Owner to use this command.';
+			error_message = t(interaction.locale, 'errors.administratorRequired');
 		}
 
 		const id = interaction.options.getString('id');
 		if (!id) {
 			error_count += 1;
-			error_message = 'The ID of the Steam Workshop Addon is required.';
+			error_message = t(interaction.locale, 'commands.remove-addon-update.idRequired');
 		}
 
 		if (id && (id.length < 1 || id.length > 20)) {
 			error_count += 1;
-			error_message = 'The ID must be between 1 and 20 characters long.';
+			error_message = t(interaction.locale, 'common.validation.idLength');
 		}
 
 		if (id && !/^\d+$/.test(id)) {
 			error_count += 1;
-			error_message = 'The ID must be a valid numeric Steam Workshop ID.';
+			error_message = t(interaction.locale, 'common.validation.idNumeric');
 		}
 
 		const guildId = interaction.guildId;
@@ -71,15 +81,15 @@ module.exports = {
 
 		if (!isNotification(guildId, channelId, 'addon-update', id)) {
 			error_count += 1;
-			error_message = `No automatic addon updater notification found for ID \`${id}\` in this channel.`;
+			error_message = t(interaction.locale, 'commands.remove-addon-update.notFound', { id });
 		}
 
 		if (error_count < 1) {
 			removeNotification(guildId, channelId, 'addon-update', id);
 
 			const successEmbed = new EmbedBuilder()
-				.setTitle('Auto Updater Notification Removed')
-				.setDescription('The automatic addon updater notification has been successfully removed from this channel.')
+				.setTitle(t(interaction.locale, 'commands.remove-addon-update.successTitle'))
+				.setDescription(t(interaction.locale, 'commands.remove-addon-update.successDescription'))
 				.setColor('#00FF00')
 				.setFooter({
 					text: interaction.client.user.displayName,
@@ -88,9 +98,9 @@ module.exports = {
 				.setTimestamp();
 
 			successEmbed.addFields(
-				{ name: 'Addon ID', value: id, inline: true },
-				{ name: 'Channel ID', value: channelId, inline: true },
-				{ name: 'Channel Name', value: channelName, inline: true },
+				{ name: t(interaction.locale, 'common.fields.addonId'), value: id, inline: true },
+				{ name: t(interaction.locale, 'common.fields.channelId'), value: channelId, inline: true },
+				{ name: t(interaction.locale, 'common.fields.channelName'), value: channelName, inline: true },
 			);
 
 			if (interaction.replied || interaction.deferred) {
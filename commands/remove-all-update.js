@@ -1,12 +1,14 @@
 const { getChannelNotifications, removeAllNotifications } = require('../modules/common');
 const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
 
 const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('remove-all-update')
-		.setDescription('Remove all automatic updater notifications from this channel. (Requires Administrator)'),
+		.setDescription('Remove all automatic updater notifications from this channel. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.remove-all-update.description')),
 	async execute(interaction) {
 		let error_count = 0;
 		let error_message = '';
@@ -16,7 +18,7 @@ module.exports = {
             interaction.guild.ownerId !== interaction.user.id
 		) {
 			error_count += 1;
-			error_message = 'You must have Administrator permissions or be the Server Owner to use this command.';
+			error_message = t(interaction.locale, 'errors.administratorRequired');
 		}
 
 		const guildId = interaction.guildId;
@@ -26,15 +28,15 @@ module.exports = {
 		const channelNotifications = getChannelNotifications(interaction.guildId, interaction.channelId);
 		if (!channelNotifications.some(n => n.type === 'addon-update' || n.type === 'collection-update')) {
 			error_count += 1;
-			error_message = 'There are no automatic updater notifications in this channel to remove.';
+			error_message = t(interaction.locale, 'commands.remove-all-update.noneFound');
 		}
 
 		if (error_count < 1) {
 			removeAllNotifications(guildId, channelId);
 
 			const successEmbed = new EmbedBuilder()
-				.setTitle('All Auto Updater Notification Removed')
-				.setDescription('All automatic updater notifications have been successfully removed from this channel.')
+				.setTitle(t(interaction.locale, 'commands.remove-all-update.successTitle'))
+				.setDescription(t(interaction.locale, 'commands.remove-all-update.successDescription'))
 				.setColor('#00FF00')
 				.setFooter({
 					text: interaction.client.user.displayName,
@@ -43,8 +45,8 @@ module.exports = {
 				.setTimestamp();
 
 			successEmbed.addFields(
-				{ name: 'Channel ID', value: channelId, inline: true },
-				{ name: 'Channel Name', value: channelName, inline: true },
+				{ name: t(interaction.locale, 'common.fields.channelId'), value: channelId, inline: true },
+				{ name: t(interaction.locale, 'common.fields.channelName'), value: channelName, inline: true },
 			);
 
 			if (interaction.replied || interaction.deferred) {
@@ -5,10 +5,10 @@
  * This command allows users to view the update history of a Steam Workshop Addon.
  */
 
-const cheerio = require('cheerio');
-
 const { sendErrorMessage } = require('../modules/error');
-const { getAccountDetails } = require('../modules/common');
+const { t, getLocalizations } = require('../modules/i18n');
+const { getPublishedFile, getPlayerSummary, formatSteamError } = require('../modules/steam');
+const { getChangelog, formatChangeDate } = require('../modules/changelog');
 const { truncate } = require('../modules/formatting');
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
@@ -17,10 +17,12 @@ module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('update-history')
 		.setDescription('Shows the update history of a Steam Workshop Addon.')
+		.setDescriptionLocalizations(getLocalizations('commands.update-history.description'))
 
 		.addStringOption(option =>
 			option.setName('id')
 				.setDescription('The ID of the Steam Workshop Addon. (Collections Not Supported)')
+				.setDescriptionLocalizations(getLocalizations('commands.update-history.options.id'))
 				.setRequired(true)
 				.setMaxLength(20)
 				.setMinLength(1)),
@@ -31,114 +33,65 @@ module.exports = {
 		const id = interaction.options.getString('id');
 		if (!id) {
 			error_count += 1;
-			error_message = 'The ID of the Steam Workshop Addon is required. (Collections Not Supported)';
+			error_message = t(interaction.locale, 'commands.update-history.idRequired');
 		}
 
 		if (id && (id.length < 1 || id.length > 20)) {
 			error_count += 1;
-			error_message = 'The ID must be between 1 and 20 characters long.';
+			error_message = t(interaction.locale, 'common.validation.idLength');
 		}
 
 		if (id && !/^\d+$/.test(id)) {
 			error_count += 1;
-			error_message = 'The ID must be a valid numeric Steam Workshop ID.';
+			error_message = t(interaction.locale, 'common.validation.idNumeric');
 		}
 
 		let embedData = null;
 
-		const params = new URLSearchParams();
-		params.append('itemcount', '1');
-		params.append('publishedfileids[0]', id);
-
-		const response = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/', {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/x-www-form-urlencoded',
-			},
-			body: params.toString(),
-		});
+		let fileDetails = null;
 
-		if (!response.ok) {
-			error_count += 1;
-			error_message = `Failed to fetch data from the Steam API: ${response.statusText}`;
-		}
+		if (error_count < 1) {
+			// Steam requests are retried on failure and can take longer than Discord waits for a reply.
+			await interaction.deferReply({ flags: 64 });
 
-		const data = await response.json();
-
-		if (
-			!data.response ||
-            !data.response.result ||
-            data.response.result === 0 ||
-            !data.response.resultcount ||
-            data.response.resultcount === 0 ||
-            !data.response.publishedfiledetails ||
-            data.response.publishedfiledetails.length === 0
-		) {
-			error_count += 1;
-			error_message = 'No details found for the provided ID or the ID is invalid.';
-		}
-		else {
-			const fileDetails = data.response.publishedfiledetails[0];
+			const result = await getPublishedFile(id);
 
-			if (
-				!fileDetails.publishedfileid ||
-                fileDetails.publishedfileid !== id ||
-                fileDetails.result === undefined
-			) {
-				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
+			if (result.ok) {
+				fileDetails = result.data;
 			}
-
-			if (Object.keys(data.response.publishedfiledetails[0]).length < 3) {
+			else {
 				error_count += 1;
-				error_message = 'No details found for the provided ID or the ID is invalid.';
+				error_message = formatSteamError(interaction.locale, result.error);
 			}
 		}
 
-		const fileDetails = data.response.publishedfiledetails[0];
-		const title = `${fileDetails.title || 'Item Information'} (${id})`;
+		const itemTitle = fileDetails?.title || t(interaction.locale, 'commands.item-info.fallbackTitle');
+		const title = `${itemTitle} (${id})`;
 
-		const steamId64 = fileDetails.creator || '0';
+		const steamId64 = fileDetails?.creator || '0';
 		let accountDetails = null;
+		let changeNotes = [];
 
 		if (error_count < 1) {
+			const accountResult = await getPlayerSummary(steamId64);
+
+			if (accountResult.ok) {
+				accountDetails = accountResult.data;
+			}
+			else {
+				console.error(`Error | Failed to fetch Steam account details: ${accountResult.error.message}`);
+			}
+
 			try {
-				accountDetails = await getAccountDetails(steamId64);
+				changeNotes = await getChangelog(id);
 			}
 			catch (error) {
-				console.error(`Error | Failed to fetch Steam account details: ${error.message}`);
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.update-history.fetchFailed', { error: error.message });
+				console.error(`Error | Failed to fetch update history for ID ${id}:`, error);
 			}
 		}
 
-		const changeNotes = [];
-		const url = `https://steamcommunity.com/sharedfiles/filedetails/changelog/${id}`;
-
-		try {
-			const response = await fetch(url);
-			const html = await response.text();
-
-			const $ = cheerio.load(html);
-
-			$('.detailBox.workshopAnnouncement.noFooter.changeLogCtn').each((i, elem) => {
-				const updateTime = $(elem).find('.changelog.headline').text().trim();
-
-				let changeNote = $(elem).find('p').text().trim();
-				if (!changeNote) {
-					changeNote = '[No changelog provided]';
-				}
-
-				changeNotes.push({
-					updateTime: updateTime,
-					changeNote: changeNote,
-				});
-			});
-		}
-		catch (error) {
-			error_count += 1;
-			error_message = `An error occurred while fetching the update history: ${error.message}`;
-			console.error(`Error | Failed to fetch update history for ID ${id}:`, error);
-		}
-
 		if (error_count === 0) {
 			embedData = new EmbedBuilder()
 				.setTitle(title)
@@ -155,21 +108,27 @@ module.exports = {
 			const limitedChanges = changeNotes.slice(0, 10);
 
 			limitedChanges.forEach((change, index) => {
-				let name = `${change.updateTime}`;
-				if (index === 0) name += ' (Latest)';
-				if (index === limitedChanges.length - 1 && limitedChanges.length > 1) name += ' (Oldest)';
+				// Discord timestamps are not rendered in field names, so the date is shown in the value.
+				let name = t(interaction.locale, 'commands.update-history.update', { number: totalChanges - index });
+				if (index === 0) name += t(interaction.locale, 'commands.update-history.latest');
+				if (index === limitedChanges.length - 1 && limitedChanges.length > 1) name += t(interaction.locale, 'commands.update-history.oldest');
 
 				embedData.addFields({
 					name: name,
-					value: truncate(change.changeNote, 512),
+					value: `-# ${formatChangeDate(change)}\n${truncate(change.changeNote, 512)}`,
 				});
 			});
 
-			embedData.setDescription(`Here is the update history for ${fileDetails.title || 'Item Information'}:\n-# Total Changes: ${totalChanges}\n-# Displayed Changes (10 Limit): ${limitedChanges.length}`);
+			embedData.setDescription(t(interaction.locale, 'commands.update-history.summary', {
+				title: itemTitle,
+				total: totalChanges,
+				limit: 10,
+				displayed: limitedChanges.length,
+			}));
 
 			if (accountDetails) {
 				embedData.setAuthor({
-					name: accountDetails.personaname || 'Unknown Creator',
+					name: accountDetails.personaname || t(interaction.locale, 'notifications.unknownCreator'),
 					iconURL: accountDetails.avatarfull || 'https://cdn.discordapp.com/embed/avatars/0.png',
 					url: accountDetails.profileurl || 'https://steamcommunity.com/id/' + steamId64,
 				});
@@ -192,7 +151,7 @@ module.exports = {
 			try {
 				await sendErrorMessage(interaction, {
 					'Command Name': interaction.commandName,
-					'Error Details': error_message || 'An unknown error occurred.',
+					'Error Details': error_message || t(interaction.locale, 'errors.unknown'),
 				});
 			}
 			catch (sendError) {
@@ -0,0 +1,103 @@
+/**
+ * @file watch-export.js
+ * Handles the '/watch-export' command for Discord.
+ *
+ * This command allows administrators to download the update notification subscriptions
+ * of this server or of a single channel as a JSON or CSV file, to back them up or
+ * to restore them with '/watch-import'.
+ */
+
+const { getExportRecords, formatExport } = require('../modules/transfer');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder, ChannelType, AttachmentBuilder } = require('discord.js');
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-export')
+		.setDescription('Export the update notification subscriptions of this server as a file. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-export.description'))
+
+		.addStringOption(option =>
+			option.setName('format')
+				.setDescription('The format of the exported file.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-export.options.format'))
+				.setRequired(true)
+				.addChoices(
+					{ name: 'JSON', value: 'json' },
+					{ name: 'CSV', value: 'csv' },
+				))
+		.addChannelOption(option =>
+			option.setName('channel')
+				.setDescription('Only export the subscriptions of this channel. (Exports the whole server if empty)')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-export.options.channel'))
+				.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+				.setRequired(false)),
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const format = interaction.options.getString('format');
+		const channel = interaction.options.getChannel('channel');
+		const records = getExportRecords(interaction.guildId, channel?.id);
+
+		if (error_count < 1 && records.length === 0) {
+			error_count += 1;
+			error_message = channel
+				? t(interaction.locale, 'commands.watch-export.channelEmpty', { channel: channel.id })
+				: t(interaction.locale, 'commands.watch-export.serverEmpty');
+		}
+
+		if (error_count < 1) {
+			const fileName = `subscriptions-${channel ? channel.id : interaction.guildId}.${format}`;
+			const attachment = new AttachmentBuilder(Buffer.from(formatExport(records, format), 'utf8'), { name: fileName });
+
+			const exportEmbed = new EmbedBuilder()
+				.setTitle(t(interaction.locale, 'commands.watch-export.successTitle'))
+				.setDescription(channel
+					? t(interaction.locale, 'commands.watch-export.channelSuccessDescription', { count: records.length, channel: channel.id, file: fileName })
+					: t(interaction.locale, 'commands.watch-export.serverSuccessDescription', { count: records.length, file: fileName }))
+				.setColor('#00FF00')
+				.setFooter({
+					text: interaction.client.user.displayName,
+					iconURL: interaction.client.user.displayAvatarURL(),
+				})
+				.setTimestamp();
+
+			if (interaction.replied || interaction.deferred) {
+				await interaction.followUp({
+					embeds: [exportEmbed],
+					files: [attachment],
+					flags: 64,
+				});
+			}
+			else {
+				await interaction.reply({
+					embeds: [exportEmbed],
+					files: [attachment],
+					flags: 64,
+				});
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
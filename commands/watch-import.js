@@ -0,0 +1,312 @@
+/**
+ * @file watch-import.js
+ * Handles the '/watch-import' command for Discord.
+ *
+ * This command allows administrators to restore update notification subscriptions from a
+ * JSON or CSV file created by '/watch-export'. Every item is checked against Steam and the
+ * channel limits first, and a preview of the subscriptions to add and skip is shown before
+ * anything is changed.
+ */
+
+const { channelLimits, sendConfirmationDialogue, isNotification, addNotification, updateNotification, getChannelNotifications } = require('../modules/common');
+const { isValidItemDetails, formatSteamError, getPublishedFileDetails, getCollectionDetails } = require('../modules/steam');
+const { parseImport, detectImportFormat } = require('../modules/transfer');
+const { cacheItemDetails } = require('../modules/item-cache');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
+const { formatList, truncate } = require('../modules/formatting');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder, ChannelType } = require('discord.js');
+
+const maxImportFileSize = 1024 * 1024;
+
+const subscriptionChannelTypes = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+/**
+ * Describes an import record in one line.
+ *
+ * @param locale
+ * @param record
+ * @returns {string}
+ */
+function describeRecord(locale, record) {
+	const type = t(locale, record.type === 'addon-update' ? 'common.types.addon' : 'common.types.collection');
+	const title = record.title ? ` ${truncate(record.title, 50)}` : '';
+
+	return record.channelId
+		? t(locale, 'commands.watch-import.recordInChannel', { type, title, id: record.id, channel: record.channelId })
+		: t(locale, 'commands.watch-import.record', { type, title, id: record.id });
+}
+
+/**
+ * Works out which records of an import file can be added and why the others are skipped.
+ * Subscriptions already in a channel count towards its limits.
+ *
+ * @param locale - The locale of the skip reasons.
+ * @param guild
+ * @param records - The valid records of the import file.
+ * @param itemsData - The published file details of the available items, by item ID.
+ * @param collectionsChildren - The child items of the public collections, by collection ID.
+ * @param [targetChannelId] - The channel to import every record into, instead of the channel stored in the file.
+ * @returns {{adds: Object[], skips: Array<{record: Object, reason: string}>}}
+ */
+function planImport(locale, guild, records, itemsData, collectionsChildren, targetChannelId) {
+	const adds = [];
+	const skips = [];
+	const seen = new Set();
+	const channelCounts = new Map();
+
+	for (const fileRecord of records) {
+		const record = { ...fileRecord, channelId: targetChannelId || fileRecord.channelId };
+		const key = `${record.channelId}:${record.type}:${record.id}`;
+		const channel = record.channelId ? guild.channels.cache.get(record.channelId) : null;
+
+		if (!record.channelId) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.noChannel') });
+			continue;
+		}
+
+		if (!channel || !subscriptionChannelTypes.includes(channel.type)) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.channelNotFound') });
+			continue;
+		}
+
+		if (seen.has(key)) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.duplicate') });
+			continue;
+		}
+		seen.add(key);
+
+		if (isNotification(guild.id, record.channelId, record.type, record.id)) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.alreadySubscribed') });
+			continue;
+		}
+
+		if (record.type === 'addon-update' && !itemsData.has(record.id)) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.notFound') });
+			continue;
+		}
+
+		if (record.type === 'collection-update' && !collectionsChildren.has(record.id)) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.collectionNotFound') });
+			continue;
+		}
+
+		const countKey = `${record.channelId}:${record.type}`;
+		if (!channelCounts.has(countKey)) {
+			channelCounts.set(countKey, getChannelNotifications(guild.id, record.channelId).filter(n => n.type === record.type).length);
+		}
+
+		if (channelCounts.get(countKey) >= channelLimits[record.type]) {
+			skips.push({ record, reason: t(locale, 'commands.watch-import.skips.channelLimit', { limit: channelLimits[record.type] }) });
+			continue;
+		}
+		channelCounts.set(countKey, channelCounts.get(countKey) + 1);
+
+		adds.push({
+			...record,
+			title: itemsData.get(record.id)?.title || record.title,
+			fileDetails: itemsData.get(record.id) || null,
+			// Roles that no longer exist in this server are dropped, and @everyone is never mentioned.
+			mentions: {
+				roles: record.mentions.roles.filter(roleId => roleId !== guild.id && guild.roles.cache.has(roleId)),
+				users: record.mentions.users,
+			},
+		});
+	}
+
+	return { adds, skips };
+}
+
+/**
+ * Adds the planned subscriptions. The channel limits are checked again, as subscriptions
+ * may have been added while the confirmation was pending. The metadata of the added items is cached.
+ *
+ * @param guildId
+ * @param adds
+ * @returns {number} The number of subscriptions added.
+ */
+function applyImport(guildId, adds) {
+	const addedItems = [];
+
+	for (const record of adds) {
+		const channelNotifications = getChannelNotifications(guildId, record.channelId);
+		if (channelNotifications.filter(n => n.type === record.type).length >= channelLimits[record.type]) continue;
+
+		if (!addNotification(guildId, record.channelId, record.type, record.id)) continue;
+
+		const fields = {};
+		if (record.mentions.roles.length > 0 || record.mentions.users.length > 0) fields.mentions = record.mentions;
+		if (record.milestones) fields.milestones = record.milestones;
+
+		if (Object.keys(fields).length > 0) {
+			updateNotification(guildId, record.channelId, record.type, record.id, fields);
+		}
+
+		addedItems.push(record);
+	}
+
+	cacheItemDetails(addedItems.map(record => record.fileDetails).filter(fileDetails => fileDetails));
+	return addedItems.length;
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-import')
+		.setDescription('Import update notification subscriptions from an exported file. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-import.description'))
+
+		.addAttachmentOption(option =>
+			option.setName('file')
+				.setDescription('A JSON or CSV file created by /watch-export.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-import.options.file'))
+				.setRequired(true))
+		.addChannelOption(option =>
+			option.setName('channel')
+				.setDescription('Import every subscription into this channel. (Uses the channels in the file if empty)')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-import.options.channel'))
+				.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+				.setRequired(false)),
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const file = interaction.options.getAttachment('file');
+		const channel = interaction.options.getChannel('channel');
+
+		if (file.size > maxImportFileSize) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'commands.watch-import.fileTooLarge', { size: maxImportFileSize / 1024 });
+		}
+
+		let parsed = null;
+		let plan = null;
+
+		if (error_count < 1) {
+			// Fetching the file and checking every item against Steam can take longer than Discord waits for a reply.
+			await interaction.deferReply({ flags: 64 });
+
+			try {
+				const response = await fetch(file.url);
+
+				if (!response.ok) {
+					throw new Error(t(interaction.locale, 'commands.watch-import.downloadFailed', { error: response.statusText }));
+				}
+
+				const text = await response.text();
+				parsed = parseImport(text, detectImportFormat(file.name, text), interaction.locale);
+			}
+			catch (error) {
+				error_count += 1;
+				error_message = error instanceof SyntaxError ? t(interaction.locale, 'commands.watch-import.invalidJson') : error.message;
+			}
+		}
+
+		if (error_count < 1 && parsed.records.length === 0 && parsed.invalid.length === 0) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'commands.watch-import.empty');
+		}
+
+		if (error_count < 1) {
+			// Collections are fetched as items too, so their titles can be shown and cached.
+			const itemsResult = await getPublishedFileDetails(parsed.records.map(record => record.id));
+			const collectionsResult = await getCollectionDetails(parsed.records.filter(record => record.type === 'collection-update').map(record => record.id));
+			const failedResult = [itemsResult, collectionsResult].find(result => !result.ok);
+
+			if (failedResult) {
+				error_count += 1;
+				error_message = formatSteamError(interaction.locale, failedResult.error);
+			}
+			else {
+				const itemsData = new Map([...itemsResult.data].filter(([, fileDetails]) => isValidItemDetails(fileDetails)));
+				plan = planImport(interaction.locale, interaction.guild, parsed.records, itemsData, collectionsResult.data, channel?.id);
+			}
+		}
+
+		if (error_count < 1) {
+			const skipLines = [
+				...parsed.invalid.map(({ row, reason }) => ({ row, line: t(interaction.locale, 'commands.watch-import.row', { row, reason }) })),
+				...plan.skips.map(({ record, reason }) => ({ row: record.row, line: t(interaction.locale, 'commands.watch-import.row', { row: record.row, reason: `${describeRecord(interaction.locale, record)}: ${reason}` }) })),
+			].sort((a, b) => a.row - b.row).map(({ line }) => line);
+
+			const previewEmbed = new EmbedBuilder()
+				.setTitle(t(interaction.locale, 'commands.watch-import.previewTitle'))
+				.setDescription(t(interaction.locale, 'commands.watch-import.previewDescription', {
+					file: file.name,
+					total: parsed.records.length + parsed.invalid.length,
+					adds: plan.adds.length,
+					skips: skipLines.length,
+				}))
+				.setColor('#3C3C3C')
+				.setFooter({
+					text: interaction.client.user.displayName,
+					iconURL: interaction.client.user.displayAvatarURL(),
+				})
+				.addFields(
+					{
+						name: t(interaction.locale, 'commands.watch-import.fields.addsCount', { count: plan.adds.length }),
+						value: plan.adds.length > 0 ? formatList(plan.adds.map(record => describeRecord(interaction.locale, record)), 1024, interaction.locale) : t(interaction.locale, 'common.none'),
+						inline: false,
+					},
+					{
+						name: t(interaction.locale, 'commands.watch-import.fields.skipsCount', { count: skipLines.length }),
+						value: skipLines.length > 0 ? formatList(skipLines, 1024, interaction.locale) : t(interaction.locale, 'common.none'),
+						inline: false,
+					},
+				)
+				.setTimestamp();
+
+			await interaction.followUp({
+				embeds: [previewEmbed],
+				flags: 64,
+			});
+
+			if (plan.adds.length === 0) return;
+
+			if (await sendConfirmationDialogue(interaction, t(interaction.locale, 'commands.watch-import.confirmationTitle'), t(interaction.locale, 'commands.watch-import.confirmationDescription', { count: plan.adds.length }), {
+				[t(interaction.locale, 'commands.watch-import.fields.file')]: file.name,
+				[t(interaction.locale, 'commands.watch-import.fields.adds')]: plan.adds.length,
+				[t(interaction.locale, 'commands.watch-import.fields.skips')]: skipLines.length,
+			}, 'watch-import-confirmation')) {
+				const addedCount = applyImport(interaction.guildId, plan.adds);
+				console.log(`Info | Imported ${addedCount} subscription(s) in Guild: ${interaction.guildId}`);
+
+				const successEmbed = new EmbedBuilder()
+					.setTitle(t(interaction.locale, 'commands.watch-import.successTitle'))
+					.setDescription(addedCount === plan.adds.length
+						? t(interaction.locale, 'commands.watch-import.successDescription', { count: addedCount })
+						: t(interaction.locale, 'commands.watch-import.partialSuccessDescription', { added: addedCount, total: plan.adds.length }))
+					.setColor('#00FF00')
+					.setFooter({
+						text: interaction.client.user.displayName,
+						iconURL: interaction.client.user.displayAvatarURL(),
+					})
+					.setTimestamp();
+
+				await interaction.followUp({
+					embeds: [successEmbed],
+					flags: 64,
+				});
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
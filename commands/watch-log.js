@@ -0,0 +1,207 @@
+/**
+ * @file watch-log.js
+ * Handles the '/watch-log' command for Discord.
+ *
+ * This command allows administrators to audit the updates detected for this server,
+ * including when each update was noticed and whether it was delivered to every channel,
+ * even after the notification messages were deleted.
+ */
+
+const { getEvents, deliveryStatuses } = require('../modules/event-log');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
+const { formatList, truncate, formatTimestamp } = require('../modules/formatting');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder, ChannelType } = require('discord.js');
+
+const maxListedEvents = 20;
+const dayLength = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a date such as `2024-03-12` into the start of that day in UTC.
+ *
+ * @param input
+ * @returns {number|null} Milliseconds, or null if the input is not a valid date.
+ */
+function parseDate(input) {
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input.trim());
+	if (!match) return null;
+
+	const [, year, month, day] = match.map(Number);
+	const time = Date.UTC(year, month - 1, day);
+	const date = new Date(time);
+
+	// Reject dates that roll over into the next month, such as 2024-02-31.
+	if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+	return time;
+}
+
+/**
+ * Describes a logged event in two lines.
+ *
+ * @param locale
+ * @param event
+ * @returns {string}
+ */
+function describeEvent(locale, event) {
+	const title = truncate(event.title || t(locale, 'notifications.unknownItem'), 60);
+	const updateTimes = event.previousTimeUpdated
+		? `${formatTimestamp(event.previousTimeUpdated)} → ${formatTimestamp(event.timeUpdated)}`
+		: formatTimestamp(event.timeUpdated);
+	const deliveries = event.deliveries
+		.map(delivery => `<#${delivery.channelId}> ${deliveryStatuses[delivery.status] ? t(locale, `commands.watch-log.statuses.${delivery.status}`) : delivery.status}`)
+		.join(', ');
+
+	return `${formatTimestamp(event.detectedAt / 1000)} **[${title}](https://steamcommunity.com/sharedfiles/filedetails/?id=${event.itemId})** (${event.itemId})` +
+		`${event.source === 'catch-up' ? t(locale, 'commands.watch-log.catchUp') : ''}\n-# ${t(locale, 'commands.watch-log.updated', { times: updateTimes })} | ${deliveries}`;
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-log')
+		.setDescription('Lists the updates detected in this server and how they were delivered. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-log.description'))
+
+		.addChannelOption(option =>
+			option.setName('channel')
+				.setDescription('Only show updates delivered to this channel. (Shows the whole server if empty)')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-log.options.channel'))
+				.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)
+				.setRequired(false))
+		.addStringOption(option =>
+			option.setName('item')
+				.setDescription('Only show updates of this Steam Workshop item ID.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-log.options.item'))
+				.setRequired(false)
+				.setMaxLength(20)
+				.setAutocomplete(true))
+		.addStringOption(option =>
+			option.setName('from')
+				.setDescription('Only show updates detected on or after this date (UTC), e.g. 2024-03-12.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-log.options.from'))
+				.setRequired(false)
+				.setMaxLength(10))
+		.addStringOption(option =>
+			option.setName('to')
+				.setDescription('Only show updates detected on or before this date (UTC), e.g. 2024-03-31.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-log.options.to'))
+				.setRequired(false)
+				.setMaxLength(10)),
+	async autocomplete(interaction) {
+		try {
+			const focusedValue = interaction.options.getFocused();
+			const items = new Map();
+
+			for (const event of getEvents(interaction.guildId)) {
+				if (!items.has(event.itemId)) items.set(event.itemId, event.title);
+			}
+
+			const filtered = [...items].filter(([itemId, title]) =>
+				itemId.startsWith(focusedValue) ||
+				(title && title.toLowerCase().includes(focusedValue.toLowerCase())),
+			).slice(0, 25);
+
+			await interaction.respond(
+				filtered.map(([itemId, title]) => ({
+					name: truncate(`${title || t(interaction.locale, 'notifications.unknownItem')} (${itemId})`, 100),
+					value: itemId,
+				})),
+			);
+		}
+		catch (error) {
+			console.error('Error | Error in autocomplete for watch-log:', error);
+		}
+	},
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const channel = interaction.options.getChannel('channel');
+		const itemId = interaction.options.getString('item');
+		const fromInput = interaction.options.getString('from');
+		const toInput = interaction.options.getString('to');
+
+		if (itemId && !/^\d+$/.test(itemId)) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'commands.watch-log.invalidItem');
+		}
+
+		const since = fromInput ? parseDate(fromInput) : null;
+		const toDay = toInput ? parseDate(toInput) : null;
+
+		if ((fromInput && since === null) || (toInput && toDay === null)) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'commands.watch-log.invalidDate');
+		}
+		else if (since !== null && toDay !== null && since > toDay) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'commands.watch-log.dateOrder');
+		}
+
+		if (error_count < 1) {
+			// The end date is inclusive, so events are listed up to the start of the following day.
+			const until = toDay !== null ? toDay + dayLength : null;
+			const events = getEvents(interaction.guildId, { channelId: channel?.id, itemId, since, until });
+
+			const filters = [
+				channel ? t(interaction.locale, 'commands.watch-log.filters.channel', { channel: channel.id }) : null,
+				itemId ? t(interaction.locale, 'commands.watch-log.filters.item', { id: itemId }) : null,
+				fromInput ? t(interaction.locale, 'commands.watch-log.filters.from', { date: fromInput }) : null,
+				toInput ? t(interaction.locale, 'commands.watch-log.filters.to', { date: toInput }) : null,
+			].filter(filter => filter !== null);
+
+			const summary = events.length > maxListedEvents
+				? t(interaction.locale, 'commands.watch-log.summaryLimited', { limit: maxListedEvents, count: events.length })
+				: t(interaction.locale, 'commands.watch-log.summary', { count: events.length });
+
+			const logEmbed = new EmbedBuilder()
+				.setTitle(t(interaction.locale, 'commands.watch-log.title'))
+				.setDescription(events.length > 0
+					? `${summary}\n\n${formatList(events.slice(0, maxListedEvents).map(event => describeEvent(interaction.locale, event)), 3800, interaction.locale)}`
+					: t(interaction.locale, 'commands.watch-log.noEvents'))
+				.setColor('#3C3C3C')
+				.setFooter({
+					text: interaction.client.user.displayName,
+					iconURL: interaction.client.user.displayAvatarURL(),
+				})
+				.setTimestamp();
+
+			if (filters.length > 0) {
+				logEmbed.addFields({ name: t(interaction.locale, 'commands.watch-log.fields.filters'), value: filters.join('\n'), inline: false });
+			}
+
+			if (interaction.replied || interaction.deferred) {
+				await interaction.followUp({
+					embeds: [logEmbed],
+					flags: 64,
+				});
+			}
+			else {
+				await interaction.reply({
+					embeds: [logEmbed],
+					flags: 64,
+				});
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
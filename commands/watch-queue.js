@@ -0,0 +1,173 @@
+/**
+ * @file watch-queue.js
+ * Handles the '/watch-queue' command for Discord.
+ *
+ * This command allows administrators to inspect update notifications that could not be delivered,
+ * and to replay or discard them.
+ */
+
+const { getPendingCount, getDeadLetters, replayDeadLetters, discardDeadLetters } = require('../modules/outbox');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
+const { formatList, truncate, timestampStyles, formatTimestamp } = require('../modules/formatting');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
+
+/**
+ * Describes a dead-lettered message in a single line.
+ *
+ * @param locale
+ * @param entry
+ * @returns {string}
+ */
+function describeDeadLetter(locale, entry) {
+	const subject = entry.title || entry.payload.embeds?.[0]?.title || t(locale, 'commands.watch-queue.notification');
+	return `\`${entry.entryId}\` <#${entry.channelId}> ${truncate(subject, 60)} (${formatTimestamp(entry.failedAt / 1000, timestampStyles.relative)}): ${truncate(entry.lastError || t(locale, 'commands.watch-queue.unknownError'), 120)}`;
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-queue')
+		.setDescription('Inspect, replay or discard update notifications that failed to send. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-queue.description'))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('view')
+				.setDescription('View queued and failed update notifications in this server.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-queue.subcommands.view.description')))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('replay')
+				.setDescription('Send failed update notifications again on the next update check.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-queue.subcommands.replay.description'))
+				.addStringOption(option =>
+					option.setName('entry')
+						.setDescription('The failed notification to replay. (Replays every failed notification if empty)')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-queue.subcommands.replay.options.entry'))
+						.setRequired(false)
+						.setAutocomplete(true)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('discard')
+				.setDescription('Discard failed update notifications without sending them.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-queue.subcommands.discard.description'))
+				.addStringOption(option =>
+					option.setName('entry')
+						.setDescription('The failed notification to discard. (Discards every failed notification if empty)')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-queue.subcommands.discard.options.entry'))
+						.setRequired(false)
+						.setAutocomplete(true))),
+	async autocomplete(interaction) {
+		try {
+			const focusedValue = interaction.options.getFocused();
+
+			const filtered = getDeadLetters(interaction.guildId).filter(entry =>
+				entry.entryId.startsWith(focusedValue) ||
+				(entry.title && entry.title.toLowerCase().includes(focusedValue.toLowerCase())),
+			).slice(0, 25);
+
+			await interaction.respond(
+				filtered.map(entry => ({
+					name: truncate(`${entry.title || t(interaction.locale, 'commands.watch-queue.notification')} (${entry.entryId})`, 100),
+					value: entry.entryId,
+				})),
+			);
+		}
+		catch (error) {
+			console.error('Error | Error in autocomplete for watch-queue:', error);
+		}
+	},
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const guildId = interaction.guildId;
+		const subcommand = interaction.options.getSubcommand();
+		const entryId = interaction.options.getString('entry');
+		const deadLetters = getDeadLetters(guildId);
+
+		if (subcommand !== 'view') {
+			if (deadLetters.length === 0) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-queue.noFailed');
+			}
+			else if (entryId && !deadLetters.some(entry => entry.entryId === entryId)) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-queue.entryNotFound', { id: entryId });
+			}
+		}
+
+		if (error_count < 1) {
+			const queueEmbed = new EmbedBuilder()
+				.setColor('#3C3C3C')
+				.setFooter({
+					text: interaction.client.user.displayName,
+					iconURL: interaction.client.user.displayAvatarURL(),
+				})
+				.setTimestamp();
+
+			if (subcommand === 'view') {
+				queueEmbed
+					.setTitle(t(interaction.locale, 'commands.watch-queue.viewTitle'))
+					.setDescription(t(interaction.locale, 'commands.watch-queue.viewDescription'))
+					.addFields(
+						{ name: t(interaction.locale, 'commands.watch-queue.fields.pending'), value: getPendingCount(guildId).toLocaleString(), inline: true },
+						{ name: t(interaction.locale, 'commands.watch-queue.fields.failed'), value: deadLetters.length.toLocaleString(), inline: true },
+						{
+							name: t(interaction.locale, 'commands.watch-queue.fields.failedNotifications'),
+							value: deadLetters.length > 0 ? formatList(deadLetters.map(entry => describeDeadLetter(interaction.locale, entry)), 1024, interaction.locale) : t(interaction.locale, 'common.none'),
+							inline: false,
+						},
+					);
+			}
+			else if (subcommand === 'replay') {
+				const count = replayDeadLetters(guildId, entryId);
+
+				queueEmbed
+					.setTitle(t(interaction.locale, 'commands.watch-queue.replayedTitle'))
+					.setDescription(t(interaction.locale, 'commands.watch-queue.replayedDescription', { count }))
+					.setColor('#00FF00');
+			}
+			else if (subcommand === 'discard') {
+				const count = discardDeadLetters(guildId, entryId);
+
+				queueEmbed
+					.setTitle(t(interaction.locale, 'commands.watch-queue.discardedTitle'))
+					.setDescription(t(interaction.locale, 'commands.watch-queue.discardedDescription', { count }))
+					.setColor('#00FF00');
+			}
+
+			if (interaction.replied || interaction.deferred) {
+				await interaction.followUp({
+					embeds: [queueEmbed],
+					flags: 64,
+				});
+			}
+			else {
+				await interaction.reply({
+					embeds: [queueEmbed],
+					flags: 64,
+				});
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
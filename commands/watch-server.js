@@ -0,0 +1,253 @@
+/**
+ * @file watch-server.js
+ * Handles the '/watch-server' command for Discord.
+ *
+ * This command allows administrators to view and change server-wide notification settings,
+ * and to move suspended subscriptions to another channel before they are deleted.
+ */
+
+const { getGuildSettings, setGuildSetting } = require('../modules/settings');
+const { channelLimits, getChannelNotifications, moveChannelNotifications } = require('../modules/common');
+const { getPurgeTime, getSuspendedChannels } = require('../modules/suspension');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations, supportedLanguages, resolveLanguage } = require('../modules/i18n');
+const { formatList, timestampStyles, formatTimestamp } = require('../modules/formatting');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder, ChannelType } = require('discord.js');
+
+/**
+ * Summarises the recent runs of the update check scheduler.
+ *
+ * @param locale
+ * @param scheduler
+ * @returns {string}
+ */
+function formatUpdateCheckStats(locale, scheduler) {
+	if (!scheduler) return t(locale, 'commands.watch-server.stats.notStarted');
+
+	const { runs, averageDuration, averageItemCount, lastRun } = scheduler.getStats();
+	const status = t(locale, scheduler.isRunning() ? 'commands.watch-server.stats.running' : 'commands.watch-server.stats.idle');
+
+	if (!lastRun) return t(locale, 'commands.watch-server.stats.noRuns', { status });
+
+	return `${t(locale, 'commands.watch-server.stats.lastRun', { status, time: formatTimestamp(lastRun.startedAt / 1000, timestampStyles.relative), duration: lastRun.duration, items: lastRun.itemCount })}\n` +
+		t(locale, 'commands.watch-server.stats.average', { runs: runs.length, duration: averageDuration, items: averageItemCount });
+}
+
+/**
+ * Builds the embed showing the server-wide settings and suspended subscriptions of a guild.
+ *
+ * @param interaction
+ * @param settings
+ * @returns {EmbedBuilder}
+ */
+function buildServerEmbed(interaction, settings) {
+	const suspendedChannels = getSuspendedChannels(interaction.guildId).map(({ channelId, suspendedAt, notifications }) =>
+		t(interaction.locale, 'commands.watch-server.suspendedChannel', {
+			channel: channelId,
+			count: notifications.length,
+			time: formatTimestamp(getPurgeTime(suspendedAt, settings.suspensionGraceDays) / 1000, timestampStyles.relative),
+		}));
+
+	return new EmbedBuilder()
+		.setTitle(t(interaction.locale, 'commands.watch-server.title'))
+		.setDescription(t(interaction.locale, 'commands.watch-server.embedDescription'))
+		.setColor('#3C3C3C')
+		.setFooter({
+			text: interaction.client.user.displayName,
+			iconURL: interaction.client.user.displayAvatarURL(),
+		})
+		.addFields(
+			{ name: t(interaction.locale, 'commands.watch-server.fields.logChannel'), value: settings.logChannelId ? `<#${settings.logChannelId}>` : t(interaction.locale, 'common.none'), inline: true },
+			{ name: t(interaction.locale, 'commands.watch-server.fields.gracePeriod'), value: t(interaction.locale, 'commands.watch-server.gracePeriodValue', { days: settings.suspensionGraceDays }), inline: true },
+			{ name: t(interaction.locale, 'commands.watch-server.fields.language'), value: supportedLanguages[resolveLanguage(settings.language)], inline: true },
+			{
+				name: t(interaction.locale, 'commands.watch-server.fields.suspendedChannels'),
+				value: suspendedChannels.length > 0 ? formatList(suspendedChannels, 1024, interaction.locale) : t(interaction.locale, 'common.none'),
+				inline: false,
+			},
+			{ name: t(interaction.locale, 'commands.watch-server.fields.updateChecks'), value: formatUpdateCheckStats(interaction.locale, interaction.client.pollScheduler), inline: false },
+		)
+		.setTimestamp();
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-server')
+		.setDescription('View or change the server-wide update notification settings. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-server.description'))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('view')
+				.setDescription('View the server-wide settings, suspended subscriptions and update check statistics.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.view.description')))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('log-channel')
+				.setDescription('Choose the channel that receives alerts about suspended subscriptions.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.log-channel.description'))
+				.addChannelOption(option =>
+					option.setName('channel')
+						.setDescription('The channel to post alerts in. (Disables alerts if empty)')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.log-channel.options.channel'))
+						.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+						.setRequired(false)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('language')
+				.setDescription('Choose the language of update notifications posted in this server.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.language.description'))
+				.addStringOption(option =>
+					option.setName('language')
+						.setDescription('The language to post update notifications in.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.language.options.language'))
+						.setRequired(true)
+						.addChoices(
+							...Object.entries(supportedLanguages).map(([value, name]) => ({ name, value })),
+						)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('grace-period')
+				.setDescription('Choose how long subscriptions in a missing channel are kept before being deleted.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.grace-period.description'))
+				.addIntegerOption(option =>
+					option.setName('days')
+						.setDescription('The number of days to keep suspended subscriptions.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.grace-period.options.days'))
+						.setRequired(true)
+						.setMinValue(1)
+						.setMaxValue(90)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('reassign')
+				.setDescription('Move the subscriptions of a missing channel to another channel.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.reassign.description'))
+				.addStringOption(option =>
+					option.setName('from')
+						.setDescription('The ID of the missing channel.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.reassign.options.from'))
+						.setRequired(true)
+						.setMaxLength(20)
+						.setMinLength(1)
+						.setAutocomplete(true))
+				.addChannelOption(option =>
+					option.setName('to')
+						.setDescription('The channel to move the subscriptions to.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-server.subcommands.reassign.options.to'))
+						.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+						.setRequired(true))),
+	async autocomplete(interaction) {
+		try {
+			const focusedValue = interaction.options.getFocused();
+
+			const filtered = getSuspendedChannels(interaction.guildId)
+				.filter(({ channelId }) => channelId.startsWith(focusedValue))
+				.slice(0, 25);
+
+			await interaction.respond(
+				filtered.map(({ channelId, notifications }) => ({
+					name: t(interaction.locale, 'commands.watch-server.suspendedChannelChoice', { channel: channelId, count: notifications.length }),
+					value: channelId,
+				})),
+			);
+		}
+		catch (error) {
+			console.error('Error | Error in autocomplete for watch-server:', error);
+		}
+	},
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const guildId = interaction.guildId;
+		const subcommand = interaction.options.getSubcommand();
+
+		if (subcommand === 'reassign') {
+			const fromChannelId = interaction.options.getString('from');
+			const toChannelId = interaction.options.getChannel('to').id;
+			const suspendedChannel = getSuspendedChannels(guildId).find(({ channelId }) => channelId === fromChannelId);
+
+			if (!suspendedChannel) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-server.noSuspendedChannel', { channel: fromChannelId });
+			}
+			else {
+				const targetNotifications = getChannelNotifications(guildId, toChannelId);
+				const movedNotifications = suspendedChannel.notifications.filter(n =>
+					!targetNotifications.some(target => target.type === n.type && target.id === n.id));
+				const countType = type => [...targetNotifications, ...movedNotifications].filter(n => n.type === type).length;
+
+				if (countType('addon-update') > channelLimits['addon-update']) {
+					error_count += 1;
+					error_message = t(interaction.locale, 'commands.watch-server.addonLimit', { channel: toChannelId, limit: channelLimits['addon-update'] });
+				}
+
+				if (countType('collection-update') > channelLimits['collection-update']) {
+					error_count += 1;
+					error_message = t(interaction.locale, 'commands.watch-server.collectionLimit', { channel: toChannelId, limit: channelLimits['collection-update'] });
+				}
+			}
+		}
+
+		if (error_count < 1) {
+			let settings = getGuildSettings(guildId);
+			let movedCount = null;
+
+			if (subcommand === 'log-channel') {
+				settings = setGuildSetting(guildId, 'logChannelId', interaction.options.getChannel('channel')?.id || null);
+			}
+			else if (subcommand === 'language') {
+				settings = setGuildSetting(guildId, 'language', interaction.options.getString('language'));
+			}
+			else if (subcommand === 'grace-period') {
+				settings = setGuildSetting(guildId, 'suspensionGraceDays', interaction.options.getInteger('days'));
+			}
+			else if (subcommand === 'reassign') {
+				movedCount = moveChannelNotifications(guildId, interaction.options.getString('from'), interaction.options.getChannel('to').id);
+				console.log(`Info | Reassigned ${movedCount} subscription(s) in Guild: ${guildId} to Channel: ${interaction.options.getChannel('to').id}`);
+			}
+
+			const serverEmbed = buildServerEmbed(interaction, settings);
+
+			if (movedCount !== null) {
+				serverEmbed.addFields({
+					name: t(interaction.locale, 'commands.watch-server.fields.reassigned'),
+					value: t(interaction.locale, 'commands.watch-server.reassignedValue', { count: movedCount, channel: interaction.options.getChannel('to').id }),
+					inline: false,
+				});
+			}
+
+			if (interaction.replied || interaction.deferred) {
+				await interaction.followUp({
+					embeds: [serverEmbed],
+					flags: 64,
+				});
+			}
+			else {
+				await interaction.reply({
+					embeds: [serverEmbed],
+					flags: 64,
+				});
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
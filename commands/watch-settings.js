@@ -0,0 +1,426 @@
+/**
+ * @file watch-settings.js
+ * Handles the '/watch-settings' command for Discord.
+ *
+ * This command allows users to view and change how update notifications are posted in a channel.
+ */
+
+const { getChannelSettings, setChannelSetting } = require('../modules/settings');
+const { getChannelNotifications, updateNotification } = require('../modules/common');
+const { parseMilestones, maxMilestones } = require('../modules/milestones');
+const { metadataCategories } = require('../modules/snapshot');
+const { deliveryModes, setDigestMode } = require('../modules/digest');
+const { postModes } = require('../modules/delivery');
+const { maxMentions, updateMentions, formatMentions } = require('../modules/mentions');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations } = require('../modules/i18n');
+const { formatList, truncate } = require('../modules/formatting');
+const { withItemNames } = require('../modules/item-cache');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder, ChannelType } = require('discord.js');
+
+/**
+ * Checks whether the bot can post update notifications in a channel.
+ * Webhook delivery only needs Manage Webhooks instead of the message sending permissions.
+ *
+ * @param channel
+ * @param user - The bot user.
+ * @param {boolean} webhookDelivery
+ * @returns {boolean}
+ */
+function canPostIn(channel, user, webhookDelivery) {
+	const requiredPermissions = webhookDelivery
+		? [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.ManageWebhooks]
+		: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages, PermissionsBitField.Flags.SendMessagesInThreads];
+
+	return channel.permissionsFor(user)?.has(requiredPermissions) ?? false;
+}
+
+/**
+ * Builds the embed showing the current settings of a channel.
+ *
+ * @param interaction
+ * @param settings
+ * @returns {EmbedBuilder}
+ */
+function buildSettingsEmbed(interaction, settings) {
+	const locale = interaction.locale;
+	const followedCategories = settings.metadataCategories.map(category => t(locale, `notifications.categories.${category}`));
+	const deliveryMode = deliveryModes[settings.deliveryMode] ? settings.deliveryMode : 'immediate';
+	const postMode = postModes[settings.postMode] ? settings.postMode : 'channel';
+	const channelNotifications = withItemNames(getChannelNotifications(interaction.guildId, interaction.channelId));
+	const formatItem = n => (n.name ? `${truncate(n.name, 40)} (\`${n.id}\`)` : `\`${n.id}\``);
+
+	const milestoneSubscriptions = channelNotifications
+		.filter(n => n.milestones)
+		.map(n => `${formatItem(n)}: ${n.milestones.thresholds ? n.milestones.thresholds.map(threshold => threshold.toLocaleString()).join(', ') : t(locale, 'commands.watch-settings.defaultMilestones')}`);
+	const itemMentions = channelNotifications
+		.filter(n => n.mentions && (n.mentions.roles.length > 0 || n.mentions.users.length > 0))
+		.map(n => `${formatItem(n)}: ${formatMentions(n.mentions, locale)}`);
+
+	return new EmbedBuilder()
+		.setTitle(t(locale, 'commands.watch-settings.title'))
+		.setDescription(t(locale, 'commands.watch-settings.embedDescription', { channel: interaction.channelId }))
+		.setColor('#3C3C3C')
+		.setFooter({
+			text: interaction.client.user.displayName,
+			iconURL: interaction.client.user.displayAvatarURL(),
+		})
+		.addFields(
+			{ name: t(locale, 'commands.watch-settings.fields.deliveryMode'), value: t(locale, `commands.watch-settings.deliveryModes.${deliveryMode}`), inline: false },
+			{
+				name: t(locale, 'commands.watch-settings.fields.postingMode'),
+				value: postMode === 'forum'
+					? t(locale, 'commands.watch-settings.forumMode', { mode: t(locale, 'commands.watch-settings.postModes.forum'), channel: settings.forumChannelId })
+					: t(locale, `commands.watch-settings.postModes.${postMode}`),
+				inline: false,
+			},
+			{ name: t(locale, 'commands.watch-settings.fields.webhookDelivery'), value: t(locale, settings.webhookDelivery ? 'commands.watch-settings.webhookEnabled' : 'commands.watch-settings.webhookDisabled'), inline: false },
+			{ name: t(locale, 'common.fields.mentions'), value: formatMentions(settings.mentions, locale), inline: false },
+			{ name: t(locale, 'commands.watch-settings.fields.itemMentions'), value: itemMentions.length > 0 ? formatList(itemMentions, 1024, locale) : t(locale, 'common.none'), inline: false },
+			{ name: t(locale, 'commands.watch-settings.fields.metadataAlerts'), value: followedCategories.length > 0 ? followedCategories.join(', ') : t(locale, 'common.none'), inline: false },
+			{ name: t(locale, 'commands.watch-settings.fields.milestones'), value: milestoneSubscriptions.length > 0 ? formatList(milestoneSubscriptions, 1024, locale) : t(locale, 'common.none'), inline: false },
+		)
+		.setTimestamp();
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-settings')
+		.setDescription('View or change the update notification settings of this channel. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-settings.description'))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('view')
+				.setDescription('View the update notification settings of this channel.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.view.description')))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('delivery')
+				.setDescription('Choose whether updates are posted immediately or collected into a digest.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.delivery.description'))
+				.addStringOption(option =>
+					option.setName('mode')
+						.setDescription('How detected updates are delivered to this channel.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.delivery.options.mode'))
+						.setRequired(true)
+						.addChoices(
+							...Object.entries(deliveryModes).map(([value, name]) => ({ name, name_localizations: getLocalizations(`commands.watch-settings.deliveryModes.${value}`), value })),
+						)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('posting')
+				.setDescription('Choose whether updates are posted in this channel, in a thread per item or in a forum.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.posting.description'))
+				.addStringOption(option =>
+					option.setName('mode')
+						.setDescription('Where update notifications for this channel are posted.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.posting.options.mode'))
+						.setRequired(true)
+						.addChoices(
+							...Object.entries(postModes).map(([value, name]) => ({ name, name_localizations: getLocalizations(`commands.watch-settings.postModes.${value}`), value })),
+						))
+				.addChannelOption(option =>
+					option.setName('forum')
+						.setDescription('The forum channel to create a post per item in. (Required for the forum mode)')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.posting.options.forum'))
+						.addChannelTypes(ChannelType.GuildForum)
+						.setRequired(false)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('webhook')
+				.setDescription('Post updates through a webhook, using the item creator\'s Steam name and avatar.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.webhook.description'))
+				.addBooleanOption(option =>
+					option.setName('enabled')
+						.setDescription('Whether updates in this channel are posted through a webhook.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.webhook.options.enabled'))
+						.setRequired(true)))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('mentions')
+				.setDescription('Choose which roles and users are mentioned when an update is posted in this channel.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.mentions.description'))
+				.addStringOption(option =>
+					option.setName('action')
+						.setDescription('Whether to add or remove a mention, or clear all mentions.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.mentions.options.action'))
+						.setRequired(true)
+						.addChoices(
+							{ name: 'Add', name_localizations: getLocalizations('commands.watch-settings.mentionActions.add'), value: 'add' },
+							{ name: 'Remove', name_localizations: getLocalizations('commands.watch-settings.mentionActions.remove'), value: 'remove' },
+							{ name: 'Clear', name_localizations: getLocalizations('commands.watch-settings.mentionActions.clear'), value: 'clear' },
+						))
+				.addMentionableOption(option =>
+					option.setName('target')
+						.setDescription('The role or user to add or remove.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.mentions.options.target'))
+						.setRequired(false))
+				.addStringOption(option =>
+					option.setName('id')
+						.setDescription('Only mention for this watched item. (Applies to every item in the channel if empty)')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.mentions.options.id'))
+						.setRequired(false)
+						.setMaxLength(20)
+						.setMinLength(1)
+						.setAutocomplete(true)))
+
+		.addSubcommand(subcommand => {
+			subcommand.setName('metadata-alerts')
+				.setDescription('Choose which metadata changes are announced in this channel.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.metadata-alerts.description'));
+
+			for (const [category, name] of Object.entries(metadataCategories)) {
+				subcommand.addBooleanOption(option =>
+					option.setName(category)
+						.setDescription(`Announce ${name.toLowerCase()} changes.`)
+						.setDescriptionLocalizations(getLocalizations(`commands.watch-settings.subcommands.metadata-alerts.options.${category}`))
+						.setRequired(false));
+			}
+
+			return subcommand;
+		})
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('milestones')
+				.setDescription('Announce when a watched item passes a subscriber milestone in this channel.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.milestones.description'))
+				.addStringOption(option =>
+					option.setName('id')
+						.setDescription('The ID of the watched Steam Workshop Addon or Collection.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.milestones.options.id'))
+						.setRequired(true)
+						.setMaxLength(20)
+						.setMinLength(1)
+						.setAutocomplete(true))
+				.addBooleanOption(option =>
+					option.setName('enabled')
+						.setDescription('Whether milestone announcements are enabled for this item.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.milestones.options.enabled'))
+						.setRequired(true))
+				.addStringOption(option =>
+					option.setName('thresholds')
+						.setDescription('Comma separated subscriber counts, e.g. 1000, 10000, 100000. (Uses the default ladder if empty)')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-settings.subcommands.milestones.options.thresholds'))
+						.setRequired(false)
+						.setMaxLength(200))),
+	async autocomplete(interaction) {
+		try {
+			const focusedValue = interaction.options.getFocused();
+			const channelNotifications = withItemNames(getChannelNotifications(interaction.guildId, interaction.channelId));
+
+			const filtered = channelNotifications.filter(n =>
+				n.id.startsWith(focusedValue) ||
+				(n.name && n.name.toLowerCase().includes(focusedValue.toLowerCase())),
+			).slice(0, 25);
+
+			await interaction.respond(
+				filtered.map(n => ({
+					name: truncate(n.name ? `${n.name} (${n.id})` : n.id, 100),
+					value: n.id,
+				})),
+			);
+		}
+		catch (error) {
+			console.error('Error | Error in autocomplete for watch-settings:', error);
+		}
+	},
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const guildId = interaction.guildId;
+		const channelId = interaction.channelId;
+		const subcommand = interaction.options.getSubcommand();
+
+		let milestoneNotifications = [];
+		let milestoneThresholds = null;
+		let mentionUpdates = [];
+
+		if (subcommand === 'posting') {
+			const mode = interaction.options.getString('mode');
+			const forum = interaction.options.getChannel('forum');
+
+			if (mode === 'forum' && !forum) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-settings.forumRequired');
+			}
+
+			if (mode === 'thread' && ![ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(interaction.channel?.type)) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-settings.threadChannelType');
+			}
+
+			if (forum && !canPostIn(forum, interaction.client.user, getChannelSettings(guildId, channelId).webhookDelivery)) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-settings.forumPermission', { channel: forum.id });
+			}
+		}
+
+		if (subcommand === 'webhook' && interaction.options.getBoolean('enabled')) {
+			const { postMode, forumChannelId } = getChannelSettings(guildId, channelId);
+			const targetChannel = postMode === 'forum' ? interaction.guild.channels.cache.get(forumChannelId) : interaction.channel;
+
+			if (!targetChannel || !canPostIn(targetChannel, interaction.client.user, true)) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-settings.webhookPermission', { channel: targetChannel?.id || channelId });
+			}
+		}
+
+		if (subcommand === 'milestones') {
+			const id = interaction.options.getString('id');
+			if (id && !/^\d+$/.test(id)) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'common.validation.idNumeric');
+			}
+
+			milestoneNotifications = getChannelNotifications(guildId, channelId).filter(n => n.id === id);
+			if (milestoneNotifications.length === 0) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-settings.notFound', { id });
+			}
+
+			const thresholds = interaction.options.getString('thresholds');
+			if (thresholds) {
+				milestoneThresholds = parseMilestones(thresholds);
+
+				if (!milestoneThresholds) {
+					error_count += 1;
+					error_message = t(interaction.locale, 'commands.watch-settings.invalidThresholds', { max: maxMilestones });
+				}
+			}
+		}
+
+		if (subcommand === 'mentions') {
+			const action = interaction.options.getString('action');
+			const target = interaction.options.get('target');
+			const id = interaction.options.getString('id');
+
+			if (action !== 'clear' && !target) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-settings.mentionTargetRequired');
+			}
+
+			if (target?.role && target.role.id === guildId) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'common.validation.everyoneMention');
+			}
+
+			let targets = [{ notification: null, mentions: getChannelSettings(guildId, channelId).mentions }];
+
+			if (id) {
+				targets = getChannelNotifications(guildId, channelId)
+					.filter(n => n.id === id)
+					.map(n => ({ notification: n, mentions: n.mentions }));
+
+				if (targets.length === 0) {
+					error_count += 1;
+					error_message = t(interaction.locale, 'commands.watch-settings.notFound', { id });
+				}
+			}
+
+			if (error_count < 1) {
+				const kind = target?.role ? 'roles' : 'users';
+
+				mentionUpdates = targets.map(({ notification, mentions }) => ({
+					notification,
+					mentions: action === 'clear' ? { roles: [], users: [] } : updateMentions(mentions, kind, target.value, action === 'add'),
+				}));
+
+				if (mentionUpdates.some(update => !update.mentions)) {
+					error_count += 1;
+					error_message = t(interaction.locale, 'commands.watch-settings.mentionLimit', { max: maxMentions });
+				}
+			}
+		}
+
+		if (error_count < 1) {
+			let settings = getChannelSettings(guildId, channelId);
+
+			if (subcommand === 'delivery') {
+				settings = setChannelSetting(guildId, channelId, 'deliveryMode', interaction.options.getString('mode'));
+				setDigestMode(channelId, settings.deliveryMode);
+			}
+			else if (subcommand === 'posting') {
+				const mode = interaction.options.getString('mode');
+				const forumChannelId = mode === 'forum' ? interaction.options.getChannel('forum').id : null;
+
+				if (forumChannelId !== settings.forumChannelId) {
+					setChannelSetting(guildId, channelId, 'forumSummaryThreadId', null);
+				}
+
+				setChannelSetting(guildId, channelId, 'forumChannelId', forumChannelId);
+				settings = setChannelSetting(guildId, channelId, 'postMode', mode);
+			}
+			else if (subcommand === 'webhook') {
+				settings = setChannelSetting(guildId, channelId, 'webhookDelivery', interaction.options.getBoolean('enabled'));
+			}
+			else if (subcommand === 'mentions') {
+				for (const { notification, mentions } of mentionUpdates) {
+					if (notification) {
+						updateNotification(guildId, channelId, notification.type, notification.id, { mentions });
+					}
+					else {
+						settings = setChannelSetting(guildId, channelId, 'mentions', mentions);
+					}
+				}
+			}
+			else if (subcommand === 'metadata-alerts') {
+				const followedCategories = new Set(settings.metadataCategories);
+
+				for (const category of Object.keys(metadataCategories)) {
+					const enabled = interaction.options.getBoolean(category);
+
+					if (enabled === true) followedCategories.add(category);
+					if (enabled === false) followedCategories.delete(category);
+				}
+
+				settings = setChannelSetting(guildId, channelId, 'metadataCategories',
+					Object.keys(metadataCategories).filter(category => followedCategories.has(category)));
+			}
+			else if (subcommand === 'milestones') {
+				const enabled = interaction.options.getBoolean('enabled');
+
+				for (const notification of milestoneNotifications) {
+					updateNotification(guildId, channelId, notification.type, notification.id, {
+						milestones: enabled ? { thresholds: milestoneThresholds, lastAnnounced: null } : null,
+					});
+				}
+			}
+
+			const settingsEmbed = buildSettingsEmbed(interaction, settings);
+
+			if (interaction.replied || interaction.deferred) {
+				await interaction.followUp({
+					embeds: [settingsEmbed],
+					flags: 64,
+				});
+			}
+			else {
+				await interaction.reply({
+					embeds: [settingsEmbed],
+					flags: 64,
+				});
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
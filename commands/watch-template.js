@@ -0,0 +1,269 @@
+/**
+ * @file watch-template.js
+ * Handles the '/watch-template' command for Discord.
+ *
+ * This command allows administrators to customize the embeds posted for addon and collection updates in this server,
+ * and to preview a template before saving it.
+ */
+
+const { sendConfirmationDialogue } = require('../modules/common');
+const { templatePlaceholders, templateFields, getTemplate, setTemplate, parseTemplateFields, parseColor } = require('../modules/templates');
+const { buildAddonUpdateEmbed, buildCollectionUpdateEmbed } = require('../modules/poller');
+const { sendErrorMessage } = require('../modules/error');
+const { t, getLocalizations, getGuildLanguage } = require('../modules/i18n');
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
+
+const updateTypes = {
+	'addon-update': 'addonUpdate',
+	'collection-update': 'collectionUpdate',
+};
+
+const typeChoices = [
+	{ name: 'Addon Update', name_localizations: getLocalizations('common.types.addonUpdate'), value: 'addon-update' },
+	{ name: 'Collection Update', name_localizations: getLocalizations('common.types.collectionUpdate'), value: 'collection-update' },
+];
+
+/**
+ * Gets the translated name of an update type.
+ *
+ * @param locale
+ * @param type
+ * @returns {string}
+ */
+function formatUpdateType(locale, type) {
+	return t(locale, `common.types.${updateTypes[type]}`);
+}
+
+/**
+ * Adds the options used to describe a template to a subcommand.
+ *
+ * @param subcommand
+ * @returns {*}
+ */
+function addTemplateOptions(subcommand) {
+	return subcommand
+		.addStringOption(option =>
+			option.setName('type')
+				.setDescription('The type of update notification the template is for.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.options.type'))
+				.setRequired(true)
+				.addChoices(...typeChoices))
+		.addStringOption(option =>
+			option.setName('title')
+				.setDescription('The embed title. Placeholders such as {title} and {id} are replaced.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.options.title'))
+				.setRequired(false)
+				.setMaxLength(256))
+		.addStringOption(option =>
+			option.setName('description')
+				.setDescription('The embed description. Placeholders such as {creator} and {changelog} are replaced.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.options.description'))
+				.setRequired(false)
+				.setMaxLength(1000))
+		.addStringOption(option =>
+			option.setName('color')
+				.setDescription('The embed colour as a hex code, e.g. #3C3C3C.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.options.color'))
+				.setRequired(false)
+				.setMaxLength(7))
+		.addStringOption(option =>
+			option.setName('fields')
+				.setDescription('Comma separated fields to show, e.g. title, size, changelog. (Use "none" to hide every field)')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.options.fields'))
+				.setRequired(false)
+				.setMaxLength(200));
+}
+
+/**
+ * Builds an update embed for an example item using a template.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param type
+ * @param template
+ * @returns {EmbedBuilder}
+ */
+function buildPreviewEmbed(client, language, type, template) {
+	const now = Math.floor(Date.now() / 1000);
+	const data = {
+		title: t(language, 'commands.watch-template.example.item'),
+		time_created: now - 90 * 24 * 60 * 60,
+		time_updated: now,
+		visibility: 0,
+		file_size: 12.5 * 1024 * 1024,
+		subscriptions: 12345,
+	};
+
+	if (type === 'collection-update') {
+		const changes = {
+			updated: [{ id: '1000000001', title: t(language, 'commands.watch-template.example.map') }],
+			added: [{ id: '1000000002', title: t(language, 'commands.watch-template.example.modelPack') }],
+			removed: [],
+		};
+
+		return buildCollectionUpdateEmbed(client, language, '1000000000', data, now, changes, template, t(language, 'commands.watch-template.example.creator'), 24);
+	}
+
+	const changeNotes = [{ updateTime: t(language, 'commands.watch-template.example.updateTime'), timestamp: now, changeNote: t(language, 'commands.watch-template.example.changeNote') }];
+	return buildAddonUpdateEmbed(client, language, '1000000000', data, now - 7 * 24 * 60 * 60, changeNotes, template, t(language, 'commands.watch-template.example.creator'));
+}
+
+/**
+ * Builds the embed explaining the placeholders and fields available to a template.
+ *
+ * @param interaction
+ * @param type
+ * @param template
+ * @returns {EmbedBuilder}
+ */
+function buildTemplateInfoEmbed(interaction, type, template) {
+	return new EmbedBuilder()
+		.setTitle(t(interaction.locale, 'commands.watch-template.infoTitle', { type: formatUpdateType(interaction.locale, type) }))
+		.setDescription(t(interaction.locale, 'commands.watch-template.infoDescription'))
+		.setColor('#3C3C3C')
+		.setFooter({
+			text: interaction.client.user.displayName,
+			iconURL: interaction.client.user.displayAvatarURL(),
+		})
+		.addFields(
+			{ name: t(interaction.locale, 'commands.watch-template.fields.fields'), value: template.fields.length > 0 ? template.fields.map(field => `\`${field}\``).join(', ') : t(interaction.locale, 'common.none'), inline: false },
+			{ name: t(interaction.locale, 'commands.watch-template.fields.availableFields'), value: Object.keys(templateFields[type]).map(field => `\`${field}\``).join(', '), inline: false },
+			{
+				name: t(interaction.locale, 'commands.watch-template.fields.placeholders'),
+				value: Object.keys(templatePlaceholders).map(key => `\`{${key}}\`: ${t(interaction.locale, `commands.watch-template.placeholders.${key}`)}`).join('\n'),
+				inline: false,
+			},
+		)
+		.setTimestamp();
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('watch-template')
+		.setDescription('Customize the update notification embeds of this server. (Requires Administrator)')
+		.setDescriptionLocalizations(getLocalizations('commands.watch-template.description'))
+
+		.addSubcommand(subcommand =>
+			addTemplateOptions(subcommand.setName('preview')
+				.setDescription('Preview a template without saving it. (Shows the current template if no changes are given)')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.subcommands.preview.description'))))
+
+		.addSubcommand(subcommand =>
+			addTemplateOptions(subcommand.setName('set')
+				.setDescription('Preview and save changes to a template.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.subcommands.set.description'))))
+
+		.addSubcommand(subcommand =>
+			subcommand.setName('reset')
+				.setDescription('Reset a template to the default embed.')
+				.setDescriptionLocalizations(getLocalizations('commands.watch-template.subcommands.reset.description'))
+				.addStringOption(option =>
+					option.setName('type')
+						.setDescription('The type of update notification the template is for.')
+						.setDescriptionLocalizations(getLocalizations('commands.watch-template.options.type'))
+						.setRequired(true)
+						.addChoices(...typeChoices))),
+	async execute(interaction) {
+		let error_count = 0;
+		let error_message = '';
+
+		if (
+			!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator) &&
+			interaction.guild.ownerId !== interaction.user.id
+		) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'errors.administratorRequired');
+		}
+
+		const guildId = interaction.guildId;
+		const subcommand = interaction.options.getSubcommand();
+		const type = interaction.options.getString('type');
+
+		const title = interaction.options.getString('title');
+		const description = interaction.options.getString('description');
+		const color = interaction.options.getString('color');
+		const fields = interaction.options.getString('fields');
+
+		const changes = {};
+
+		if (title !== null) changes.title = title;
+		if (description !== null) changes.description = description;
+
+		if (color !== null) {
+			changes.color = parseColor(color);
+
+			if (!changes.color) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-template.invalidColor');
+			}
+		}
+
+		if (fields !== null) {
+			changes.fields = fields.trim().toLowerCase() === 'none' ? [] : parseTemplateFields(type, fields);
+
+			if (!changes.fields) {
+				error_count += 1;
+				error_message = t(interaction.locale, 'commands.watch-template.invalidFields', { fields: Object.keys(templateFields[type]).join(', ') });
+			}
+		}
+
+		const template = { ...getTemplate(guildId, type), ...changes };
+
+		if (subcommand === 'set' && [title, description, color, fields].every(value => value === null)) {
+			error_count += 1;
+			error_message = t(interaction.locale, 'commands.watch-template.noChanges');
+		}
+
+		if (error_count < 1) {
+			if (subcommand === 'reset') {
+				const defaultTemplate = setTemplate(guildId, type, null);
+
+				const successEmbed = new EmbedBuilder()
+					.setTitle(t(interaction.locale, 'commands.watch-template.resetTitle'))
+					.setDescription(t(interaction.locale, 'commands.watch-template.resetDescription', { type: formatUpdateType(interaction.locale, type) }))
+					.setColor('#00FF00')
+					.setFooter({
+						text: interaction.client.user.displayName,
+						iconURL: interaction.client.user.displayAvatarURL(),
+					})
+					.setTimestamp();
+
+				await interaction.reply({
+					embeds: [successEmbed, buildPreviewEmbed(interaction.client, getGuildLanguage(guildId), type, defaultTemplate)],
+					flags: 64,
+				});
+				return;
+			}
+
+			await interaction.reply({
+				embeds: [buildTemplateInfoEmbed(interaction, type, template), buildPreviewEmbed(interaction.client, getGuildLanguage(guildId), type, template)],
+				flags: 64,
+			});
+
+			if (subcommand === 'set') {
+				if (await sendConfirmationDialogue(interaction, t(interaction.locale, 'commands.watch-template.confirmationTitle'), t(interaction.locale, 'commands.watch-template.confirmationDescription', { type: formatUpdateType(interaction.locale, type) }), {
+					[t(interaction.locale, 'common.fields.type')]: formatUpdateType(interaction.locale, type),
+					[t(interaction.locale, 'commands.watch-template.fields.title')]: title,
+					[t(interaction.locale, 'commands.watch-template.fields.description')]: description,
+					[t(interaction.locale, 'commands.watch-template.fields.color')]: color !== null ? template.color : null,
+					[t(interaction.locale, 'commands.watch-template.fields.fields')]: fields !== null ? template.fields.join(', ') || t(interaction.locale, 'common.none') : null,
+				}, 'watch-template-confirmation')) {
+					setTemplate(guildId, type, changes);
+					console.log(`Info | Saved ${type} template for Guild: ${guildId}`);
+				}
+			}
+		}
+		else {
+			try {
+				await sendErrorMessage(interaction, {
+					'Command Name': interaction.commandName,
+					'Error Details': error_message,
+				});
+			}
+			catch (sendError) {
+				console.error('Error | Failed to send error message:', sendError?.message || sendError);
+			}
+		}
+	},
+};
@@ -4,16 +4,20 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const { sendErrorMessage } = require('./modules/error');
-const { getWorkshopAddonData, getGuildNotifications, setNotificationLastUpdated, getNotificationLastUpdated, removeNotification,
-	getAccountDetails,
-} = require('./modules/common');
+const { createScheduler } = require('./modules/scheduler');
+const { storageBackends, getStorage, flushStorage } = require('./modules/storage');
+const { flushDataStores } = require('./modules/data-store');
+const { runUpdateCheck, runCatchUp } = require('./modules/poller');
 
-const { REST, Routes, Client, Collection, Events, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const { REST, Routes, Client, Collection, Events, GatewayIntentBits } = require('discord.js');
 
 const useGlobal = process.env.USE_GLOBAL ?? false;
 const botToken = process.env.BOT_TOKEN ?? null;
 const clientId = process.env.CLIENT_ID ?? null;
 const guildId = process.env.GUILD_ID ?? null;
+const pollInterval = parseInt(process.env.POLL_INTERVAL ?? '300000', 10);
+const pollJitter = parseInt(process.env.POLL_JITTER ?? '30000', 10);
+const storageBackend = process.env.STORAGE_BACKEND ?? 'json';
 
 const client = new Client({ intents: [GatewayIntentBits.Guilds] });
 const commandsPath = path.join(__dirname, 'commands');
@@ -38,10 +42,27 @@ function validateEnvVariables() {
 		console.error('Error | GUILD_ID is not set in the environment variables and USE_GLOBAL is false.');
 		process.exit(1);
 	}
+	if (Number.isNaN(pollInterval) || pollInterval < 10000) {
+		console.error('Error | POLL_INTERVAL must be a number of milliseconds of at least 10000.');
+		process.exit(1);
+	}
+	if (Number.isNaN(pollJitter) || pollJitter < 0) {
+		console.error('Error | POLL_JITTER must be a non-negative number of milliseconds.');
+		process.exit(1);
+	}
+	if (!storageBackends[storageBackend]) {
+		console.error(`Error | STORAGE_BACKEND must be one of: ${Object.keys(storageBackends).join(', ')}.`);
+		process.exit(1);
+	}
 }
 
 validateEnvVariables();
 
+/**
+ * Loads the subscriptions into memory before any command or update check uses them.
+ */
+getStorage();
+
 /**
  * Scans the commands directory for command files and loads them into the client.commands collection.
  *
@@ -183,135 +204,22 @@ client.once(Events.ClientReady, readyClient => {
 	});
 
 	/**
-	 * Sets up a periodic task to check for updates on workshop addons and collections.
+	 * Starts the periodic task that checks for updates on workshop addons and collections.
 	 */
-	setInterval(async () => {
-		for (const guild of client.guilds.cache.values()) {
-			const searchGuildId = guild.id;
-			const guildNotifications = getGuildNotifications(searchGuildId);
-
-			for (const [channelId, notifications] of Object.entries(guildNotifications)) {
-				const channel = guild.channels.cache.get(channelId);
-
-				if (!channel) {
-					notifications.forEach(notification => {
-						const { type, id } = notification;
-						removeNotification(searchGuildId, channelId, type, id);
-					});
-					continue;
-				}
+	const pollScheduler = createScheduler(() => runUpdateCheck(readyClient), {
+		name: 'Update check',
+		interval: pollInterval,
+		jitter: pollJitter,
+	});
+	readyClient.pollScheduler = pollScheduler;
 
-				for (const notification of notifications) {
-					const { type, id } = notification;
-					const lastUpdated = getNotificationLastUpdated(searchGuildId, channelId, type, id);
-
-					try {
-						const data = await getWorkshopAddonData(id);
-						if (data) {
-							if (!lastUpdated) {
-								setNotificationLastUpdated(searchGuildId, channelId, type, id, data.time_updated);
-							}
-							else {
-								const addonUpdateTime = data.time_updated || 0;
-								const timeDifference = Date.now() - lastUpdated;
-
-								if (addonUpdateTime > lastUpdated && addonUpdateTime > 0 && timeDifference >= 300000) {
-									setNotificationLastUpdated(searchGuildId, channelId, type, id, data.time_updated);
-
-									const steamId64 = data.creator || '0';
-									let accountDetails = null;
-
-									try {
-										accountDetails = await getAccountDetails(steamId64);
-									}
-									catch (error) {
-										console.error(`Error | Failed to fetch Steam account details: ${error.message}`);
-									}
-
-									let updateEmbedData = null;
-
-									if (type === 'addon-update') {
-										updateEmbedData = new EmbedBuilder()
-											.setTitle('New Addon Update Available')
-											.setDescription(`A new update is available for the addon: ${data.title || 'Unknown Addon'} (${id}).`)
-											.setColor('#3C3C3C')
-											.setThumbnail(data.preview_url || 'https://cdn.discordapp.com/embed/avatars/0.png')
-											.setFooter({
-												text: client.user.displayName,
-												iconURL: client.user.displayAvatarURL(),
-											})
-											.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
-											.addFields(
-												{ name: 'Title', value: data.title || 'Unknown Addon', inline: true },
-												{ name: 'Last Updated', value: new Date(lastUpdated * 1000).toLocaleDateString(), inline: true },
-												{ name: 'Date Created', value: new Date(data.time_created * 1000).toLocaleDateString(), inline: true },
-												{ name: 'Visibility', value: data.visibility === 0 ? 'Public' : data.visibility === 1 ? 'Friends Only' : 'Private', inline: true },
-												{ name: 'File Size', value: `${(data.file_size / 1024 / 1024).toFixed(2)} MB`, inline: true },
-												{ name: 'Subscriptions', value: data.subscriptions ? data.subscriptions.toLocaleString() : '0', inline: true },
-												{ name: 'Addon URL', value: `https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`, inline: false },
-											)
-											.setTimestamp();
-
-										if (accountDetails) {
-											updateEmbedData.setAuthor({
-												name: accountDetails.personaname || 'Unknown Creator',
-												iconURL: accountDetails.avatarfull || 'https://cdn.discordapp.com/embed/avatars/0.png',
-												url: accountDetails.profileurl || `https://steamcommunity.com/id/${steamId64}`,
-											});
-										}
-									}
-									else if (type === 'collection-update') {
-										updateEmbedData = new EmbedBuilder()
-											.setTitle('New Collection Update Available')
-											.setDescription(`A new update is available for the collection: ${data.title || 'Unknown Collection'} (${id}).`)
-											.setColor('#3C3C3C')
-											.setThumbnail(data.file_url || 'https://cdn.discordapp.com/embed/avatars/0.png')
-											.setFooter({
-												text: client.user.displayName,
-												iconURL: client.user.displayAvatarURL(),
-											})
-											.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
-											.addFields(
-												{ name: 'Title', value: data.title || 'Unknown Addon', inline: true },
-												{ name: 'Last Updated', value: new Date(lastUpdated * 1000).toLocaleDateString(), inline: true },
-												{ name: 'Date Created', value: new Date(data.time_created * 1000).toLocaleDateString(), inline: true },
-												{ name: 'Collection URL', value: `https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`, inline: false },
-											)
-											.setTimestamp();
-
-										if (accountDetails) {
-											updateEmbedData.setAuthor({
-												name: accountDetails.personaname || 'Unknown Creator',
-												iconURL: accountDetails.avatarfull || 'https://cdn.discordapp.com/embed/avatars/0.png',
-												url: accountDetails.profileurl || `https://steamcommunity.com/id/${steamId64}`,
-											});
-										}
-									}
-
-									try {
-										await client.channels.cache.get(channelId)?.send({
-											content: '',
-											embeds: updateEmbedData ? [updateEmbedData] : [],
-										});
-									}
-									catch (error) {
-										console.error('Error | Failed to send update message:', error?.message || error);
-									}
-								}
-							}
-						}
-						else {
-							console.warn(`Error | No data found for ID: ${id} in Guild: ${searchGuildId}, Channel: ${channelId}, Type: ${type}`);
-						}
-					}
-					catch (error) {
-						console.error(`Error | Error fetching data for ID: ${id} in Guild: ${searchGuildId}, Channel: ${channelId}, Type: ${type}`, error);
-					}
-				}
-			}
-		}
-	}, 30000);
-	// 30 seconds for testing (set to 300000 for production)
+	/**
+	 * Posts any updates missed while the bot was offline before the regular update checks start.
+	 */
+	runCatchUp(readyClient)
+		.then(({ itemCount }) => console.log(`Info | Catch-up completed (${itemCount} item(s)).`))
+		.catch(error => console.error('Error | Catch-up failed:', error))
+		.finally(() => pollScheduler.start());
 });
 
 /**
@@ -322,4 +230,21 @@ process.on('unhandledRejection', error => {
 	console.error('Error | Unhandled promise rejection:', error);
 });
 
+/**
+ * Writes any pending subscription and data file changes to disk before the bot shuts down.
+ */
+for (const signal of ['SIGINT', 'SIGTERM']) {
+	process.once(signal, () => {
+		console.log(`Info | Received ${signal}, shutting down...`);
+		flushStorage();
+		flushDataStores();
+		client.destroy().finally(() => process.exit(0));
+	});
+}
+
+process.on('exit', () => {
+	flushStorage();
+	flushDataStores();
+});
+
 client.login(botToken);
\ No newline at end of file
@@ -0,0 +1,58 @@
+// migrate_notifications.js
+// Imports the subscriptions of an existing notifications.json into the SQLite storage backend.
+// Usage: node migrate_notifications.js [path/to/notifications.json]
+
+const fs = require('node:fs');
+const path = require('node:path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { getDataFilePath, migrateData } = require('./modules/data');
+const { createSqliteStorage } = require('./modules/sqlite-storage');
+
+const sourcePath = path.resolve(process.argv[2] ?? getDataFilePath('notifications.json'));
+const targetPath = path.resolve(process.env.SQLITE_PATH || getDataFilePath('notifications.db'));
+
+/**
+ * Reads the JSON notifications file and imports every subscription into the SQLite database.
+ * Subscriptions already in the database are left unchanged, so the migration can be run again safely.
+ */
+function migrateNotifications() {
+	if (!fs.existsSync(sourcePath)) {
+		console.error(`Error | Notifications file not found: ${sourcePath}`);
+		process.exit(1);
+	}
+
+	let notifications;
+
+	try {
+		notifications = migrateData('notifications.json', JSON.parse(fs.readFileSync(sourcePath, 'utf-8') || '{}')).data;
+	}
+	catch (error) {
+		console.error(`Error | Failed to parse ${sourcePath}:`, error.message);
+		process.exit(1);
+	}
+
+	const entryCount = Object.values(notifications)
+		.flatMap(channels => Object.values(channels))
+		.reduce((total, entries) => total + entries.length, 0);
+
+	console.log(`Info | Importing ${entryCount} subscription(s) from ${sourcePath} into ${targetPath}...`);
+
+	const storage = createSqliteStorage(targetPath);
+
+	try {
+		const importedCount = storage.importNotifications(notifications);
+		console.log(`Success | Imported ${importedCount} subscription(s), skipped ${entryCount - importedCount} already in the database.`);
+		console.log('Info | Set STORAGE_BACKEND=sqlite in your .env to use the database.');
+	}
+	catch (error) {
+		console.error('Error | Failed to import notifications.\n', error);
+		process.exitCode = 1;
+	}
+	finally {
+		storage.close();
+	}
+}
+
+migrateNotifications();
@@ -0,0 +1,150 @@
+/**
+ * @file changelog.js
+ * Scrapes the change notes of a Steam Workshop item from its public changelog page.
+ */
+
+const cheerio = require('cheerio');
+
+const { steamToDiscordFormatting, truncate, formatDateTime } = require('./formatting');
+const { requestSteam } = require('./steam');
+const { t } = require('./i18n');
+
+const truncationNoticeLength = 48;
+
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parses the date of a changelog headline such as "Update: 12 Mar, 2024 @ 3:45pm" into a unix timestamp.
+ * Steam leaves out the year for updates made in the current year, and lists the month first for some accounts.
+ * The changelog page is requested in UTC, so the headline time is read as UTC.
+ *
+ * @param {string} headline
+ * @param {Date} [now] - The current date, used to work out the year when the headline has none.
+ * @returns {number|null} Unix timestamp in seconds, or null if the headline has no recognizable date.
+ */
+function parseHeadlineDate(headline, now = new Date()) {
+	const match = /(?:(\d{1,2})\s+([a-z]{3})[a-z]*|([a-z]{3})[a-z]*\s+(\d{1,2}))(?:,\s*(\d{4}))?\s*@\s*(\d{1,2}):(\d{2})\s*(am|pm)/i.exec(headline || '');
+	if (!match) return null;
+
+	const [, dayFirst, monthAfterDay, monthFirst, dayAfterMonth, year, hours, minutes, period] = match;
+	const month = monthNames.indexOf((monthAfterDay || monthFirst).toLowerCase());
+	if (month === -1) return null;
+
+	const hour = (parseInt(hours, 10) % 12) + (period.toLowerCase() === 'pm' ? 12 : 0);
+	const getTime = headlineYear => Date.UTC(headlineYear, month, parseInt(dayFirst || dayAfterMonth, 10), hour, parseInt(minutes, 10));
+
+	let time = getTime(year ? parseInt(year, 10) : now.getUTCFullYear());
+
+	// A headline without a year that would be in the future was made late last year, e.g. "28 Dec" read in early January.
+	if (!year && time > now.getTime()) {
+		time = getTime(now.getUTCFullYear() - 1);
+	}
+
+	return Math.floor(time / 1000);
+}
+
+/**
+ * Fetches and parses the changelog of a workshop item.
+ * Entries are returned newest first, as listed on the changelog page.
+ *
+ * @param id
+ * @returns {Promise<Array<{updateTime: string, timestamp: (number|null), changeNote: string}>>}
+ */
+async function getChangelog(id) {
+	const changeNotes = [];
+	const url = `https://steamcommunity.com/sharedfiles/filedetails/changelog/${id}?l=english`;
+
+	// Steam renders the headline dates in the timezone given by this cookie.
+	const result = await requestSteam(url, { headers: { Cookie: 'timezoneOffset=0,0' }, responseType: 'text' });
+
+	if (!result.ok) {
+		throw new Error(`Failed to fetch changelog: ${result.error.message}`);
+	}
+
+	const $ = cheerio.load(result.data);
+
+	$('.detailBox.workshopAnnouncement.noFooter.changeLogCtn').each((i, elem) => {
+		const updateTime = $(elem).find('.changelog.headline').text().trim();
+		const paragraph = $(elem).find('p');
+
+		// Each change note paragraph is given the unix timestamp of its update as an ID.
+		// The headline date is only used when the ID is missing, as it has no seconds.
+		const timestamp = parseInt(paragraph.attr('id'), 10);
+
+		const noteHtml = (paragraph.html() || '').replace(/<br\s*\/?>/gi, '\n');
+		let changeNote = cheerio.load(noteHtml).text().trim();
+		if (!changeNote) {
+			changeNote = '[No changelog provided]';
+		}
+
+		changeNotes.push({
+			updateTime: updateTime,
+			timestamp: Number.isNaN(timestamp) ? parseHeadlineDate(updateTime) : timestamp,
+			changeNote: changeNote,
+		});
+	});
+
+	return changeNotes;
+}
+
+/**
+ * Gets the changelog entries made after a given time.
+ * Entries without a known timestamp are excluded.
+ *
+ * @param changeNotes
+ * @param since - Unix timestamp in seconds.
+ * @returns {Array}
+ */
+function getChangeNotesSince(changeNotes, since) {
+	return changeNotes.filter(change => change.timestamp && change.timestamp > since);
+}
+
+/**
+ * Formats the date of a changelog entry as a Discord timestamp, or as the scraped headline if it has no known timestamp.
+ *
+ * @param change
+ * @returns {string}
+ */
+function formatChangeDate(change) {
+	return change.timestamp ? formatDateTime(change.timestamp) : change.updateTime;
+}
+
+/**
+ * Formats changelog entries for display in Discord.
+ * Some room is left below the maximum length for the truncation notice.
+ *
+ * @param changeNotes
+ * @param maxLength
+ * @returns {string}
+ */
+function formatChangeNotes(changeNotes, maxLength) {
+	const text = changeNotes
+		.map(change => `**${formatChangeDate(change)}**\n${change.changeNote}`)
+		.join('\n\n');
+
+	return steamToDiscordFormatting(text, maxLength - truncationNoticeLength);
+}
+
+/**
+ * Summarizes the newest changelog entry as a single short line.
+ *
+ * @param changeNotes
+ * @param maxLength
+ * @param [language] - The language of the placeholder shown when there are no change notes.
+ * @returns {string}
+ */
+function summarizeChangeNotes(changeNotes, maxLength, language = null) {
+	if (changeNotes.length === 0) return t(language, 'notifications.noChangelog');
+
+	const newestChange = changeNotes.reduce((newest, change) => (change.timestamp || 0) > (newest.timestamp || 0) ? change : newest);
+	return truncate(steamToDiscordFormatting(newestChange.changeNote).replace(/\s+/g, ' '), maxLength);
+}
+
+module.exports = {
+	parseHeadlineDate,
+	getChangelog,
+	getChangeNotesSince,
+	formatChangeDate,
+	formatChangeNotes,
+	summarizeChangeNotes,
+};
@@ -1,132 +1,19 @@
-const fs = require('fs');
-const path = require('path');
-
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
 const { sendErrorMessage } = require('./error');
+const { t } = require('./i18n');
+const { getStorage } = require('./storage');
+const { getChannelSettings, moveChannelSettings } = require('./settings');
+const { moveDigest } = require('./digest');
 
-/**
- * Fetches workshop addon data from the Steam API.
- * This function retrieves details about a specific workshop addon
- * and returns all of its data.
- *
- * @param addonId
- * @returns {Promise<*|boolean>}
- */
-async function getWorkshopAddonData(addonId) {
-	const params = new URLSearchParams();
-	params.append('itemcount', '1');
-	params.append('publishedfileids[0]', addonId);
-
-	const response = await fetch('https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/', {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/x-www-form-urlencoded',
-		},
-		body: params.toString(),
-	});
-
-	if (!response.ok) {
-		return false;
-	}
-
-	const data = await response.json();
-
-	if (
-		!data.response ||
-		!data.response.result ||
-		data.response.result === 0 ||
-		!data.response.resultcount ||
-		data.response.resultcount === 0 ||
-		!data.response.publishedfiledetails ||
-		data.response.publishedfiledetails.length === 0
-	) {
-		return false;
-	}
-	else {
-		const fileDetails = data.response.publishedfiledetails[0];
-
-		if (
-			!fileDetails.publishedfileid ||
-			fileDetails.publishedfileid !== addonId ||
-			fileDetails.result === undefined
-		) {
-			return false;
-		}
-
-		if (Object.keys(data.response.publishedfiledetails[0]).length < 3) {
-			return false;
-		}
-	}
-
-	return data.response.publishedfiledetails[0];
-}
-
-/**
- * This module provides functions to fetch game details and account details from the Steam API.
- * It includes error handling for invalid inputs and API response checks.
- *
- * @param steamId64
- * @returns {Promise<*|null>}
- */
-async function getAccountDetails(steamId64) {
-	if (!steamId64 || !/^\d{17}$/.test(steamId64)) {
-		console.error('Error | Invalid Steam ID64 format. It should be a 17-digit number.');
-		return null;
-	}
-
-	if (!process.env.STEAM_API_KEY) {
-		console.error('Error | STEAM_API_KEY is not set in the environment variables.');
-		return null;
-	}
-
-	const params = new URLSearchParams();
-	params.append('key', process.env.STEAM_API_KEY);
-	params.append('steamids', steamId64);
-
-	try {
-		const response = await fetch(`https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?${params.toString()}`);
-
-		if (!response.ok) {
-			console.error(`Error | Failed to fetch account details: ${response.status} ${response.statusText}`);
-			return null;
-		}
-
-		const data = await response.json();
-
-		if (!data.response || !data.response.players || data.response.players.length === 0) {
-			console.error('Error | No account details found for the provided Steam ID64.');
-			return null;
-		}
-
-		return data.response.players[0];
-
-	}
-	catch (error) {
-		console.error(`Error | An exception occurred while fetching Steam account details: ${error.message}`);
-		return null;
-	}
-}
+const activeConfirmations = new Map();
 
 /**
- * Fetches game details from the Steam API using the provided game ID.
- * This function checks if the game ID is valid and handles API response errors.
- *
- * @param gameId
- * @returns {Promise<*|null>}
+ * The maximum number of subscriptions of each type a single channel can hold.
  */
-async function getGameDetails(gameId) {
-	const response = await fetch(`https://store.steampowered.com/api/appdetails?appids=${gameId}`);
-	const data = await response.json();
-
-	if (!data[gameId] || !data[gameId].success) {
-		console.error(`Error | No game details found for the provided game ID: ${gameId}`);
-		return null;
-	}
-
-	return data[gameId].data;
-}
-
-const activeConfirmations = new Map();
+const channelLimits = {
+	'addon-update': 5,
+	'collection-update': 3,
+};
 
 /**
  * Sends a confirmation dialogue to the user.
@@ -146,7 +33,7 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 
 	if (activeConfirmations.has(userId)) {
 		sendErrorMessage(interaction, {
-			'Error': 'You already have a pending confirmation.',
+			'Error': t(interaction.locale, 'confirmation.alreadyPending'),
 			'User ID': interaction.user.id,
 			'Custom ID': customId,
 		}).then(r =>
@@ -155,8 +42,8 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 	}
 
 	const embedData = new EmbedBuilder()
-		.setTitle(title || 'Confirmation Required')
-		.setDescription(description || 'Are you sure you want to proceed?')
+		.setTitle(title || t(interaction.locale, 'confirmation.title'))
+		.setDescription(description || t(interaction.locale, 'confirmation.description'))
 		.setColor('#3C3C3C')
 		.setFooter({
 			text: interaction.client.user.displayName,
@@ -173,8 +60,8 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 	}
 
 	const cancelledEmbedData = new EmbedBuilder()
-		.setTitle('Action Cancelled')
-		.setDescription('The action has been cancelled.')
+		.setTitle(t(interaction.locale, 'confirmation.cancelledTitle'))
+		.setDescription(t(interaction.locale, 'confirmation.cancelledDescription'))
 		.setColor('#FF0000')
 		.setFooter({
 			text: interaction.client.user.displayName,
@@ -183,8 +70,8 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 		.setTimestamp();
 
 	const confirmedEmbedData = new EmbedBuilder()
-		.setTitle('Action Confirmed')
-		.setDescription('The action has been confirmed.')
+		.setTitle(t(interaction.locale, 'confirmation.confirmedTitle'))
+		.setDescription(t(interaction.locale, 'confirmation.confirmedDescription'))
 		.setColor('#00FF00')
 		.setFooter({
 			text: interaction.client.user.displayName,
@@ -196,11 +83,11 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 		.addComponents(
 			new ButtonBuilder()
 				.setCustomId(`${customId}-confirm`)
-				.setLabel('Confirm')
+				.setLabel(t(interaction.locale, 'confirmation.confirm'))
 				.setStyle(ButtonStyle.Success),
 			new ButtonBuilder()
 				.setCustomId(`${customId}-cancel`)
-				.setLabel('Cancel')
+				.setLabel(t(interaction.locale, 'confirmation.cancel'))
 				.setStyle(ButtonStyle.Danger),
 		);
 
@@ -247,8 +134,8 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 				content: '',
 				embeds: [
 					new EmbedBuilder()
-						.setTitle('Confirmation Timed Out')
-						.setDescription('You did not respond in time. The confirmation has expired.')
+						.setTitle(t(interaction.locale, 'confirmation.timedOutTitle'))
+						.setDescription(t(interaction.locale, 'confirmation.timedOutDescription'))
 						.setColor('#808080')
 						.setFooter({
 							text: interaction.client.user.displayName,
@@ -268,57 +155,8 @@ async function sendConfirmationDialogue(interaction, title, description, confirm
 	}
 }
 
-const dataDirPath = path.join(__dirname, '..', 'data');
-const dataFilePath = path.join(dataDirPath, 'notifications.json');
-
-/**
- * Ensures the data file exists by checking if it exists and creating it if not.
- */
-function ensureDataFile() {
-	if (!fs.existsSync(dataDirPath)) {
-		fs.mkdirSync(dataDirPath, { recursive: true });
-	}
-
-	if (!fs.existsSync(dataFilePath) || fs.statSync(dataFilePath).size === 0) {
-		fs.writeFileSync(dataFilePath, JSON.stringify({}, null, 4));
-	}
-}
-
-/**
- * Reads data from the notifications JSON file.
- * This function ensures the data file exists before reading it.
- *
- * @returns {any}
- */
-function readData() {
-	ensureDataFile();
-	try {
-		const rawData = fs.readFileSync(dataFilePath, 'utf-8');
-		if (!rawData.trim()) {
-			saveData({});
-			return {};
-		}
-		return JSON.parse(rawData);
-	}
-	catch (error) {
-		console.error('Error reading JSON data:', error);
-		saveData({});
-		return {};
-	}
-}
-
 /**
- * Saves data to the notifications JSON file.
- *
- * @param data
- */
-function saveData(data) {
-	fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 4));
-}
-
-/**
- * Loads data from the notifications JSON file.
- * This function reads the data and returns it as an object.
+ * Checks if a channel has a notification for a specific item.
  *
  * @param guildId
  * @param channelId
@@ -327,12 +165,11 @@ function saveData(data) {
  * @returns {boolean}
  */
 function isNotification(guildId, channelId, type, id) {
-	const data = readData();
-	return !!(data[guildId] && data[guildId][channelId] && data[guildId][channelId].some(entry => entry.type === type && entry.id === id));
+	return getStorage().isNotification(guildId, channelId, type, id);
 }
 
 /**
- * Adds a notification to the notifications JSON file.
+ * Adds a notification to the configured storage backend.
  * This function checks if the notification already exists
  * and adds it if not.
  *
@@ -343,27 +180,11 @@ function isNotification(guildId, channelId, type, id) {
  * @returns {boolean}
  */
 function addNotification(guildId, channelId, type, id) {
-	const data = readData();
-
-	if (!data[guildId]) {
-		data[guildId] = {};
-	}
-
-	if (!data[guildId][channelId]) {
-		data[guildId][channelId] = [];
-	}
-
-	if (data[guildId][channelId].some(entry => entry.type === type && entry.id === id)) {
-		return false;
-	}
-
-	data[guildId][channelId].push({ type, id });
-	saveData(data);
-	return true;
+	return getStorage().addNotification(guildId, channelId, type, id);
 }
 
 /**
- * Removes a notification from the notifications JSON file.
+ * Removes a notification from the configured storage backend.
  * This function checks if the notification exists
  * and removes it if found.
  *
@@ -374,28 +195,7 @@ function addNotification(guildId, channelId, type, id) {
  * @returns {boolean}
  */
 function removeNotification(guildId, channelId, type, id) {
-	const data = readData();
-
-	if (!data[guildId] || !data[guildId][channelId]) {
-		return false;
-	}
-
-	const initialLength = data[guildId][channelId].length;
-	data[guildId][channelId] = data[guildId][channelId].filter(entry => !(entry.type === type && entry.id === id));
-
-	if (data[guildId][channelId].length === 0) {
-		delete data[guildId][channelId];
-	}
-	if (Object.keys(data[guildId]).length === 0) {
-		delete data[guildId];
-	}
-
-	if (initialLength === data[guildId]?.[channelId]?.length) {
-		return false;
-	}
-
-	saveData(data);
-	return true;
+	return getStorage().removeNotification(guildId, channelId, type, id);
 }
 
 /**
@@ -408,32 +208,17 @@ function removeNotification(guildId, channelId, type, id) {
  * @returns {boolean}
  */
 function removeAllNotifications(guildId, channelId) {
-	const data = readData();
-
-	if (!data[guildId] || !data[guildId][channelId]) {
-		return false;
-	}
-
-	delete data[guildId][channelId];
-
-	if (Object.keys(data[guildId]).length === 0) {
-		delete data[guildId];
-	}
-
-	saveData(data);
-	return true;
+	return getStorage().removeAllNotifications(guildId, channelId);
 }
 
 /**
- * Loads data from the notifications JSON file.
- * This function reads the data and returns it as an object.
+ * Gets the notifications of every channel in a guild, keyed by channel ID.
  *
  * @param guildId
  * @returns {*|{}}
  */
 function getGuildNotifications(guildId) {
-	const data = readData();
-	return data[guildId] || {};
+	return getStorage().getGuildNotifications(guildId);
 }
 
 /**
@@ -446,8 +231,7 @@ function getGuildNotifications(guildId) {
  * @returns {*|*[]}
  */
 function getChannelNotifications(guildId, channelId) {
-	const data = readData();
-	return data[guildId]?.[channelId] || [];
+	return getStorage().getChannelNotifications(guildId, channelId);
 }
 
 /**
@@ -463,20 +247,43 @@ function getChannelNotifications(guildId, channelId) {
  * @returns {boolean}
  */
 function setNotificationLastUpdated(guildId, channelId, type, id, timestamp) {
-	const data = readData();
+	return getStorage().setNotificationLastUpdated(guildId, channelId, type, id, timestamp);
+}
 
-	if (!data[guildId] || !data[guildId][channelId]) {
-		return false;
-	}
+/**
+ * Updates fields on a specific notification.
+ * This function merges the provided fields into the stored notification
+ * for a specific notification type and ID in a guild and channel.
+ *
+ * @param guildId
+ * @param channelId
+ * @param type
+ * @param id
+ * @param fields
+ * @returns {boolean}
+ */
+function updateNotification(guildId, channelId, type, id, fields) {
+	return getStorage().updateNotification(guildId, channelId, type, id, fields);
+}
 
-	const notification = data[guildId][channelId].find(entry => entry.type === type && entry.id === id);
-	if (notification) {
-		notification.lastUpdated = timestamp;
-		saveData(data);
-		return true;
-	}
+/**
+ * Moves every notification of a channel to another channel in the same guild.
+ * Notifications already present in the target channel are dropped, and the
+ * suspension and thread of each moved notification are cleared.
+ * The channel's settings and queued digest are moved along with them, so they are not left behind on the old channel.
+ *
+ * @param guildId
+ * @param fromChannelId
+ * @param toChannelId
+ * @returns {number} The number of notifications moved.
+ */
+function moveChannelNotifications(guildId, fromChannelId, toChannelId) {
+	const movedCount = getStorage().moveChannelNotifications(guildId, fromChannelId, toChannelId);
+
+	moveChannelSettings(guildId, fromChannelId, toChannelId);
+	moveDigest(fromChannelId, toChannelId, getChannelSettings(guildId, toChannelId).deliveryMode);
 
-	return false;
+	return movedCount;
 }
 
 /**
@@ -491,20 +298,11 @@ function setNotificationLastUpdated(guildId, channelId, type, id, timestamp) {
  * @returns {*|null}
  */
 function getNotificationLastUpdated(guildId, channelId, type, id) {
-	const data = readData();
-
-	if (!data[guildId] || !data[guildId][channelId]) {
-		return null;
-	}
-
-	const notification = data[guildId][channelId].find(entry => entry.type === type && entry.id === id);
-	return notification ? notification.lastUpdated : null;
+	return getStorage().getNotificationLastUpdated(guildId, channelId, type, id);
 }
 
 module.exports = {
-	getWorkshopAddonData,
-	getAccountDetails,
-	getGameDetails,
+	channelLimits,
 	sendConfirmationDialogue,
 	isNotification,
 	addNotification,
@@ -513,5 +311,7 @@ module.exports = {
 	getGuildNotifications,
 	getChannelNotifications,
 	setNotificationLastUpdated,
+	updateNotification,
+	moveChannelNotifications,
 	getNotificationLastUpdated,
 };
\ No newline at end of file
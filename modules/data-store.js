@@ -0,0 +1,109 @@
+/**
+ * @file data-store.js
+ * Keeps the contents of JSON data files in memory and writes changes back in coalesced flushes.
+ *
+ * Each data file is read once, on first use, and shared by every caller through its store.
+ * Callers change the loaded data in place and then call `save()`, which marks the store as dirty.
+ * The data is written in a single flush once no further changes arrive for a short delay,
+ * or after the maximum delay during a steady stream of changes.
+ */
+
+const { readDataFile, saveDataFile } = require('./data');
+
+const flushDelay = 1000;
+const maxFlushDelay = 10000;
+
+const dataStores = new Map();
+
+/**
+ * Creates the store of a data file.
+ *
+ * @param fileName
+ * @returns {{read: Function, save: Function, flush: Function}}
+ */
+function createDataStore(fileName) {
+	let data = null;
+	let dirty = false;
+	let flushTimer = null;
+	let firstChangeAt = null;
+
+	/**
+	 * Writes the data to its file if it changed since the last flush.
+	 */
+	function flush() {
+		clearTimeout(flushTimer);
+		flushTimer = null;
+		firstChangeAt = null;
+
+		if (!dirty) return;
+
+		try {
+			saveDataFile(fileName, data);
+			dirty = false;
+		}
+		catch (error) {
+			console.error(`Error | Failed to write ${fileName}, retrying shortly:`, error.message);
+			save();
+		}
+	}
+
+	/**
+	 * Marks the data as changed and schedules a flush.
+	 * Each change delays the flush, up to the maximum delay after the first unflushed change.
+	 */
+	function save() {
+		dirty = true;
+		firstChangeAt = firstChangeAt ?? Date.now();
+
+		clearTimeout(flushTimer);
+
+		const delay = Math.min(flushDelay, Math.max(0, firstChangeAt + maxFlushDelay - Date.now()));
+		flushTimer = setTimeout(flush, delay);
+		flushTimer.unref();
+	}
+
+	/**
+	 * Gets the loaded data, reading the file on first use.
+	 * The returned object is shared, so changes to it must be followed by `save()`.
+	 *
+	 * @returns {Object}
+	 */
+	function read() {
+		if (data === null) {
+			data = readDataFile(fileName);
+		}
+
+		return data;
+	}
+
+	return { read, save, flush };
+}
+
+/**
+ * Gets the store of a data file, creating it on first use.
+ *
+ * @param fileName
+ * @returns {{read: Function, save: Function, flush: Function}}
+ */
+function getDataStore(fileName) {
+	if (!dataStores.has(fileName)) {
+		dataStores.set(fileName, createDataStore(fileName));
+	}
+
+	return dataStores.get(fileName);
+}
+
+/**
+ * Writes the pending changes of every data store.
+ * Called on shutdown so no recent changes are lost.
+ */
+function flushDataStores() {
+	for (const store of dataStores.values()) {
+		store.flush();
+	}
+}
+
+module.exports = {
+	getDataStore,
+	flushDataStores,
+};
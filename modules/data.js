@@ -0,0 +1,273 @@
+/**
+ * @file data.js
+ * Reads and writes the JSON files stored in the bot's data directory.
+ *
+ * Files are written atomically: the data is written to a temporary file which then replaces
+ * the original, so a crash mid-write can never leave a half-written file behind.
+ * Each file is saved as `{ schemaVersion, data }`, and older files are upgraded through
+ * the migration steps below when read. Before a file is overwritten, a timestamped backup
+ * is kept at most once per backup interval, and a file that can no longer be parsed is
+ * restored from its newest valid backup instead of being reset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataDirPath = path.join(__dirname, '..', 'data');
+const backupDirPath = path.join(dataDirPath, 'backups');
+
+const maxBackups = 10;
+const backupInterval = 60 * 60 * 1000;
+
+/**
+ * The migration steps of the data files. The step at index N upgrades data from schema version N to N + 1.
+ * Files written before schema versioning are version 0.
+ * A file can list its own steps; other files use the default steps.
+ */
+const dataMigrations = {
+	default: [
+		// 0 -> 1: The data is stored inside a versioned envelope, without changes.
+		data => data,
+	],
+};
+
+const lastBackupTimes = new Map();
+
+/**
+ * Gets the full path of a file in the data directory.
+ *
+ * @param fileName
+ * @returns {string}
+ */
+function getDataFilePath(fileName) {
+	return path.join(dataDirPath, fileName);
+}
+
+/**
+ * Gets the migration steps of a data file.
+ *
+ * @param fileName
+ * @returns {Function[]}
+ */
+function getMigrations(fileName) {
+	return dataMigrations[fileName] || dataMigrations.default;
+}
+
+/**
+ * Gets a timestamp that can be used in a file name, e.g. `2024-03-12T15-45-00-000Z`.
+ *
+ * @returns {string}
+ */
+function getFileTimestamp() {
+	return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Writes a file atomically by writing a temporary file and renaming it over the original.
+ *
+ * @param filePath
+ * @param content
+ */
+function writeFileAtomic(filePath, content) {
+	const tempFilePath = `${filePath}.${process.pid}.tmp`;
+
+	const fd = fs.openSync(tempFilePath, 'w');
+	try {
+		fs.writeFileSync(fd, content);
+		fs.fsyncSync(fd);
+	}
+	finally {
+		fs.closeSync(fd);
+	}
+
+	fs.renameSync(tempFilePath, filePath);
+}
+
+/**
+ * Gets the backups of a data file, newest first.
+ *
+ * @param fileName
+ * @returns {string[]} The full paths of the backups.
+ */
+function getBackupFilePaths(fileName) {
+	if (!fs.existsSync(backupDirPath)) return [];
+
+	return fs.readdirSync(backupDirPath)
+		.filter(backupName => backupName.startsWith(`${fileName}.`) && backupName.endsWith('.bak'))
+		.sort()
+		.reverse()
+		.map(backupName => path.join(backupDirPath, backupName));
+}
+
+/**
+ * Copies a data file to a timestamped backup, at most once per backup interval.
+ * Only the newest backups are kept.
+ *
+ * @param fileName
+ */
+function backupDataFile(fileName) {
+	const dataFilePath = getDataFilePath(fileName);
+	if (!fs.existsSync(dataFilePath)) return;
+
+	if (!lastBackupTimes.has(fileName)) {
+		const newestBackup = getBackupFilePaths(fileName)[0];
+		lastBackupTimes.set(fileName, newestBackup ? fs.statSync(newestBackup).mtimeMs : 0);
+	}
+
+	if (Date.now() - lastBackupTimes.get(fileName) < backupInterval) return;
+
+	try {
+		fs.mkdirSync(backupDirPath, { recursive: true });
+		fs.copyFileSync(dataFilePath, path.join(backupDirPath, `${fileName}.${getFileTimestamp()}.bak`));
+		lastBackupTimes.set(fileName, Date.now());
+
+		for (const oldBackup of getBackupFilePaths(fileName).slice(maxBackups)) {
+			fs.unlinkSync(oldBackup);
+		}
+	}
+	catch (error) {
+		console.error(`Error | Failed to back up ${fileName}:`, error.message);
+	}
+}
+
+/**
+ * Upgrades the parsed contents of a data file to the current schema version.
+ * Files written before schema versioning are treated as version 0.
+ *
+ * @param fileName
+ * @param contents - The parsed JSON contents of the file.
+ * @returns {{data: any, migrated: boolean}}
+ */
+function migrateData(fileName, contents) {
+	const migrations = getMigrations(fileName);
+	const isVersioned = contents !== null && typeof contents === 'object' && 'schemaVersion' in contents;
+
+	let version = isVersioned ? contents.schemaVersion : 0;
+	let data = isVersioned ? contents.data : contents;
+
+	if (!Number.isInteger(version) || version > migrations.length) {
+		throw new Error(`Unsupported schema version ${version} in ${fileName}`);
+	}
+
+	const migrated = version < migrations.length;
+
+	while (version < migrations.length) {
+		data = migrations[version](data);
+		version += 1;
+	}
+
+	return { data: data ?? {}, migrated };
+}
+
+/**
+ * Reads and parses the JSON contents of a data file or one of its backups.
+ *
+ * @param filePath
+ * @returns {any}
+ */
+function parseDataFile(filePath) {
+	const rawData = fs.readFileSync(filePath, 'utf-8');
+
+	if (!rawData.trim()) {
+		throw new Error('The file is empty');
+	}
+
+	return JSON.parse(rawData);
+}
+
+/**
+ * Restores a data file that can no longer be read from its newest valid backup.
+ * The unreadable file is kept next to the backups for inspection.
+ *
+ * @param fileName
+ * @param error - The error that occurred while reading the file.
+ * @returns {any} The restored data, or an empty object if no backup could be read.
+ */
+function recoverDataFile(fileName, error) {
+	const dataFilePath = getDataFilePath(fileName);
+	console.error(`Error | Failed to read ${fileName}, restoring from backup:`, error.message);
+
+	fs.mkdirSync(backupDirPath, { recursive: true });
+	fs.copyFileSync(dataFilePath, path.join(backupDirPath, `${fileName}.${getFileTimestamp()}.corrupt`));
+
+	for (const backupFilePath of getBackupFilePaths(fileName)) {
+		try {
+			const { data } = migrateData(fileName, parseDataFile(backupFilePath));
+			saveDataFile(fileName, data, { backup: false });
+
+			console.log(`Info | Restored ${fileName} from backup: ${path.basename(backupFilePath)}`);
+			return data;
+		}
+		catch (backupError) {
+			console.error(`Error | Skipping unreadable backup ${path.basename(backupFilePath)}:`, backupError.message);
+		}
+	}
+
+	console.error(`Error | No valid backup of ${fileName} was found, starting with empty data.`);
+	saveDataFile(fileName, {}, { backup: false });
+	return {};
+}
+
+/**
+ * Reads data from a JSON data file.
+ * Missing files are created empty, older schema versions are migrated,
+ * and files that cannot be parsed are restored from their newest valid backup.
+ *
+ * @param fileName
+ * @returns {any}
+ */
+function readDataFile(fileName) {
+	const dataFilePath = getDataFilePath(fileName);
+
+	if (!fs.existsSync(dataFilePath)) {
+		saveDataFile(fileName, {}, { backup: false });
+		return {};
+	}
+
+	let contents;
+
+	try {
+		contents = parseDataFile(dataFilePath);
+	}
+	catch (error) {
+		return recoverDataFile(fileName, error);
+	}
+
+	// A file from a newer version of the bot is not recovered from backup, so the error is thrown as is.
+	const { data, migrated } = migrateData(fileName, contents);
+
+	if (migrated) {
+		console.log(`Info | Migrated ${fileName} to schema version ${getMigrations(fileName).length}`);
+		saveDataFile(fileName, data);
+	}
+
+	return data;
+}
+
+/**
+ * Saves data to a JSON data file atomically, keeping a backup of the previous contents.
+ *
+ * @param fileName
+ * @param data
+ * @param {Object} [options]
+ * @param {boolean} [options.backup] - Whether the previous contents may be backed up first.
+ */
+function saveDataFile(fileName, data, { backup = true } = {}) {
+	if (!fs.existsSync(dataDirPath)) {
+		fs.mkdirSync(dataDirPath, { recursive: true });
+	}
+
+	if (backup) {
+		backupDataFile(fileName);
+	}
+
+	const contents = { schemaVersion: getMigrations(fileName).length, data };
+	writeFileAtomic(getDataFilePath(fileName), JSON.stringify(contents, null, 4));
+}
+
+module.exports = {
+	getDataFilePath,
+	migrateData,
+	readDataFile,
+	saveDataFile,
+};
@@ -0,0 +1,219 @@
+/**
+ * @file delivery.js
+ * Sends notifications to the right place for a channel's posting mode.
+ *
+ * Channels can post notifications directly, into one thread per watched item,
+ * or into a forum channel with one post per watched item. Later notifications
+ * for an item are added as replies in its thread or post.
+ *
+ * Channels can also post through a webhook owned by the bot, so notifications appear
+ * under the item creator's Steam persona and can be delivered without Send Messages.
+ */
+
+const { ChannelType, ThreadAutoArchiveDuration, RESTJSONErrorCodes } = require('discord.js');
+const { updateNotification } = require('./common');
+const { getChannelSettings, setChannelSetting } = require('./settings');
+const { truncate } = require('./formatting');
+const { t, getGuildLanguage } = require('./i18n');
+
+const postModes = {
+	channel: 'Channel',
+	thread: 'Thread Per Item',
+	forum: 'Forum Post Per Item',
+};
+
+const webhookCache = new Map();
+
+/**
+ * Gets the bot's webhook for a channel, creating it if it does not exist yet.
+ * Webhooks are cached in memory by channel and looked up again after a restart.
+ *
+ * @param client
+ * @param channel - The text or forum channel the webhook belongs to.
+ * @returns {Promise<*>}
+ */
+async function getWebhook(client, channel) {
+	if (webhookCache.has(channel.id)) {
+		return webhookCache.get(channel.id);
+	}
+
+	const webhooks = await channel.fetchWebhooks();
+	let webhook = webhooks.find(w => w.owner?.id === client.user.id && w.token);
+
+	if (!webhook) {
+		webhook = await channel.createWebhook({
+			name: client.user.displayName,
+			avatar: client.user.displayAvatarURL(),
+			reason: 'Used to post Steam Workshop update notifications.',
+		});
+		console.log(`Info | Created notification webhook in channel ${channel.id}.`);
+	}
+
+	webhookCache.set(channel.id, webhook);
+	return webhook;
+}
+
+/**
+ * Sends a message through the bot's webhook for a channel, posting under the given persona.
+ * Persona names Discord does not allow for webhooks fall back to the bot's name.
+ * If the cached webhook has been deleted it is recreated once.
+ *
+ * @param client
+ * @param channel - The text or forum channel the webhook belongs to.
+ * @param persona - The name and avatar to post as, or null to post as the bot.
+ * @param payload
+ * @returns {Promise<*>} The sent message.
+ */
+async function sendWithWebhook(client, channel, persona, payload) {
+	const options = {
+		...payload,
+		username: persona?.name && !/discord|clyde/i.test(persona.name) ? persona.name : client.user.displayName,
+		avatarURL: persona?.avatarURL || client.user.displayAvatarURL(),
+	};
+
+	try {
+		return await (await getWebhook(client, channel)).send(options);
+	}
+	catch (error) {
+		if (error.code !== RESTJSONErrorCodes.UnknownWebhook) throw error;
+
+		webhookCache.delete(channel.id);
+		return await (await getWebhook(client, channel)).send(options);
+	}
+}
+
+/**
+ * Fetches a thread by ID, returning null if it no longer exists.
+ *
+ * @param client
+ * @param threadId
+ * @returns {Promise<*|null>}
+ */
+async function fetchThread(client, threadId) {
+	if (!threadId) return null;
+
+	try {
+		const thread = await client.channels.fetch(threadId);
+		return thread?.isThread() ? thread : null;
+	}
+	catch {
+		return null;
+	}
+}
+
+/**
+ * Sends a message into an existing thread of a parent channel, or creates the thread if it does not exist.
+ * Forum channels create the thread with the message as its first post.
+ *
+ * @param client
+ * @param parent - The text or forum channel the thread belongs to.
+ * @param threadId - The ID of the previously created thread, if any.
+ * @param name - The name used if a new thread is created.
+ * @param payload
+ * @param webhook - Whether to send through a webhook, and the persona to post as.
+ * @param {boolean} webhook.enabled
+ * @param [webhook.persona]
+ * @returns {Promise<string>} The ID of the thread the message was sent to.
+ */
+async function sendToThread(client, parent, threadId, name, payload, { enabled, persona = null }) {
+	const existingThread = await fetchThread(client, threadId);
+
+	if (existingThread && existingThread.parentId === parent.id) {
+		if (enabled) {
+			await sendWithWebhook(client, parent, persona, { ...payload, threadId: existingThread.id });
+			return existingThread.id;
+		}
+
+		if (existingThread.archived) {
+			await existingThread.setArchived(false);
+		}
+
+		await existingThread.send(payload);
+		return existingThread.id;
+	}
+
+	if (parent.type === ChannelType.GuildForum) {
+		if (enabled) {
+			const message = await sendWithWebhook(client, parent, persona, { ...payload, threadName: name });
+			return message.channelId;
+		}
+
+		return (await parent.threads.create({ name, message: payload })).id;
+	}
+
+	const thread = await parent.threads.create({ name, autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek });
+
+	if (enabled) {
+		await sendWithWebhook(client, parent, persona, { ...payload, threadId: thread.id });
+	}
+	else {
+		await thread.send(payload);
+	}
+
+	return thread.id;
+}
+
+/**
+ * Sends a notification for a channel according to its posting mode.
+ * Notifications about a single subscription go into that item's thread or forum post,
+ * while notifications covering several items, such as digests, go into a shared post in forum mode
+ * and directly into the channel otherwise.
+ *
+ * @param client
+ * @param target
+ * @param target.guildId
+ * @param target.channelId - The channel the subscription was added in.
+ * @param [target.subscription] - The subscription the notification is about.
+ * @param [target.title] - The title of the subscription's item, used to name its thread.
+ * @param [target.persona] - The name and avatar to post as when webhook delivery is enabled.
+ * @param payload - The message options to send.
+ * @returns {Promise<void>}
+ */
+async function sendNotification(client, { guildId, channelId, subscription = null, title = null, persona = null }, payload) {
+	const { postMode, forumChannelId, forumSummaryThreadId, webhookDelivery } = getChannelSettings(guildId, channelId);
+	const webhook = { enabled: webhookDelivery, persona };
+
+	const channel = client.channels.cache.get(channelId);
+	if (!channel) {
+		throw new Error(`Channel ${channelId} was not found.`);
+	}
+
+	if (postMode === 'forum') {
+		const forum = client.channels.cache.get(forumChannelId);
+		if (!forum || forum.type !== ChannelType.GuildForum) {
+			throw new Error(`Forum channel ${forumChannelId} was not found.`);
+		}
+
+		if (!subscription) {
+			const threadId = await sendToThread(client, forum, forumSummaryThreadId, t(getGuildLanguage(guildId), 'notifications.forumSummaryThread', { channel: channel.name }), payload, webhook);
+			if (threadId !== forumSummaryThreadId) {
+				setChannelSetting(guildId, channelId, 'forumSummaryThreadId', threadId);
+			}
+			return;
+		}
+	}
+
+	if ((postMode === 'forum' || postMode === 'thread') && subscription) {
+		const parent = postMode === 'forum' ? client.channels.cache.get(forumChannelId) : channel;
+		const name = truncate(`${title || 'Unknown Item'} (${subscription.id})`, 100);
+
+		const threadId = await sendToThread(client, parent, subscription.threadId, name, payload, webhook);
+		if (threadId !== subscription.threadId) {
+			subscription.threadId = threadId;
+			updateNotification(guildId, channelId, subscription.type, subscription.id, { threadId });
+		}
+		return;
+	}
+
+	if (webhookDelivery) {
+		await sendWithWebhook(client, channel, persona, payload);
+		return;
+	}
+
+	await channel.send(payload);
+}
+
+module.exports = {
+	postModes,
+	sendNotification,
+};
@@ -0,0 +1,177 @@
+/**
+ * @file digest.js
+ * Queues detected updates for channels using a digest delivery mode,
+ * and works out when each channel's digest is due.
+ *
+ * Queues are stored in the digests JSON file as
+ * `{ [channelId]: { guildId, mode, dueAt, entries: [] } }` so they survive restarts.
+ */
+
+const { randomUUID } = require('crypto');
+const { getDataStore } = require('./data-store');
+
+const digestStore = getDataStore('digests.json');
+
+const deliveryModes = {
+	immediate: 'Immediate',
+	hourly: 'Hourly Digest',
+	daily: 'Daily Digest',
+	weekly: 'Weekly Digest',
+};
+
+/**
+ * Gets the end of the digest period containing the given time.
+ * Hourly digests end on the hour, daily digests at midnight UTC
+ * and weekly digests at midnight UTC on Monday.
+ *
+ * @param mode
+ * @param now - Milliseconds since the epoch.
+ * @returns {number} Milliseconds since the epoch.
+ */
+function getPeriodEnd(mode, now) {
+	const date = new Date(now);
+
+	if (mode === 'hourly') {
+		date.setUTCMinutes(0, 0, 0);
+		date.setUTCHours(date.getUTCHours() + 1);
+	}
+	else if (mode === 'daily') {
+		date.setUTCHours(0, 0, 0, 0);
+		date.setUTCDate(date.getUTCDate() + 1);
+	}
+	else {
+		date.setUTCHours(0, 0, 0, 0);
+		date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7 || 7));
+	}
+
+	return date.getTime();
+}
+
+/**
+ * Adds a detected update to a channel's digest queue.
+ * A queue started under a different digest mode is moved to the period of the current mode.
+ *
+ * @param guildId
+ * @param channelId
+ * @param mode - The channel's digest delivery mode.
+ * @param entry - The update, containing its ID, type, title and a short change note.
+ * @param [entryId] - Identifies the update in the event log. Updates logged as one event share it.
+ * @returns {string} The entry ID of the queued update.
+ */
+function queueDigestEntry(guildId, channelId, mode, entry, entryId = randomUUID().slice(0, 8)) {
+	const data = digestStore.read();
+
+	if (!data[channelId]) {
+		data[channelId] = { guildId, mode, dueAt: getPeriodEnd(mode, Date.now()), entries: [] };
+	}
+	else if (data[channelId].mode !== mode) {
+		data[channelId].mode = mode;
+		data[channelId].dueAt = getPeriodEnd(mode, Date.now());
+	}
+
+	data[channelId].entries.push({ ...entry, entryId, queuedAt: Date.now() });
+	digestStore.save();
+
+	return entryId;
+}
+
+/**
+ * Moves a channel's queued digest to the period of its new delivery mode.
+ * Switching to immediate delivery makes the queued digest due straight away, so no updates are lost.
+ *
+ * @param channelId
+ * @param mode - The channel's new delivery mode.
+ * @returns {boolean} Whether the channel had a queued digest.
+ */
+function setDigestMode(channelId, mode) {
+	const data = digestStore.read();
+
+	if (!data[channelId] || data[channelId].mode === mode) {
+		return false;
+	}
+
+	if (mode === 'immediate') {
+		data[channelId].dueAt = Date.now();
+	}
+	else {
+		data[channelId].mode = mode;
+		data[channelId].dueAt = getPeriodEnd(mode, Date.now());
+	}
+
+	digestStore.save();
+	return true;
+}
+
+/**
+ * Moves a channel's queued digest to another channel, such as when its subscriptions are reassigned.
+ * The entries are added to the target channel's digest if it already has one,
+ * and the digest is moved to the period of the target channel's delivery mode.
+ *
+ * @param fromChannelId
+ * @param toChannelId
+ * @param mode - The target channel's delivery mode.
+ * @returns {boolean} Whether the old channel had a queued digest.
+ */
+function moveDigest(fromChannelId, toChannelId, mode) {
+	const data = digestStore.read();
+	const digest = data[fromChannelId];
+
+	if (!digest) {
+		return false;
+	}
+
+	if (data[toChannelId]) {
+		data[toChannelId].entries.push(...digest.entries);
+	}
+	else {
+		data[toChannelId] = digest;
+	}
+
+	delete data[fromChannelId];
+	digestStore.save();
+
+	setDigestMode(toChannelId, mode);
+	return true;
+}
+
+/**
+ * Gets every digest whose period has ended.
+ *
+ * @param now - Milliseconds since the epoch.
+ * @returns {Array<{channelId: string, guildId: string, mode: string, entries: Array}>}
+ */
+function getDueDigests(now) {
+	const data = digestStore.read();
+
+	return Object.entries(data)
+		.filter(([, digest]) => digest.dueAt <= now)
+		.map(([channelId, digest]) => ({ channelId, ...digest }));
+}
+
+/**
+ * Removes a channel's digest queue once it has been posted.
+ *
+ * @param channelId
+ * @returns {boolean}
+ */
+function clearDigest(channelId) {
+	const data = digestStore.read();
+
+	if (!data[channelId]) {
+		return false;
+	}
+
+	delete data[channelId];
+	digestStore.save();
+	return true;
+}
+
+module.exports = {
+	deliveryModes,
+	getPeriodEnd,
+	queueDigestEntry,
+	setDigestMode,
+	moveDigest,
+	getDueDigests,
+	clearDigest,
+};
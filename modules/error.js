@@ -1,4 +1,5 @@
 const { EmbedBuilder } = require('discord.js');
+const { t, hasTranslation } = require('./i18n');
 
 async function sendErrorMessage(interaction, errorDetails) {
 	if (!interaction.isRepliable()) {
@@ -7,8 +8,8 @@ async function sendErrorMessage(interaction, errorDetails) {
 	}
 
 	const errorEmbed = new EmbedBuilder()
-		.setTitle('An Error Has Occurred!')
-		.setDescription('An error occurred while trying to execute this command. Please try again later or contact support if the issue persists.')
+		.setTitle(t(interaction.locale, 'errors.title'))
+		.setDescription(t(interaction.locale, 'errors.description'))
 		.setColor('#FF0000')
 		.setFooter({
 			text: interaction.client.user.displayName,
@@ -19,7 +20,8 @@ async function sendErrorMessage(interaction, errorDetails) {
 	if (errorDetails) {
 		for (const [key, value] of Object.entries(errorDetails)) {
 			if (value) {
-				errorEmbed.addFields({ name: key, value: `\`${value}\`` });
+				const name = hasTranslation(`errors.fields.${key}`) ? t(interaction.locale, `errors.fields.${key}`) : key;
+				errorEmbed.addFields({ name, value: `\`${value}\`` });
 			}
 		}
 	}
@@ -0,0 +1,160 @@
+/**
+ * @file event-log.js
+ * Keeps a local log of every update detected by the poller and how it was delivered.
+ *
+ * Each event records the item, its previous and new update time, and the result of
+ * delivering it to every channel subscribed to the item. The same update detected for
+ * several channels of a guild is logged as one event. Delivery results of queued messages
+ * are filled in once the outbox sends them or gives up, and those of digest entries once
+ * their digest is posted.
+ *
+ * The log is stored in the events JSON file as `{ guildId: [events] }`, oldest first.
+ */
+
+const { randomUUID } = require('crypto');
+const { getDataStore } = require('./data-store');
+
+const eventLogStore = getDataStore('events.json');
+
+const maxEventsPerGuild = 1000;
+const mergeWindow = 15 * 60 * 1000;
+
+const deliveryStatuses = {
+	sent: 'Sent',
+	queued: 'Queued for retry',
+	failed: 'Failed',
+	digest: 'Added to digest',
+};
+
+/**
+ * Records the delivery of a detected update to a channel.
+ * The delivery is added to the guild's event for the same update if it was logged recently for other channels,
+ * otherwise a new event is logged. Collections can change without a new update time, so an update
+ * detected again for the same channel is always a new event.
+ *
+ * @param guildId
+ * @param {Object} update
+ * @param {'addon-update'|'collection-update'} update.type
+ * @param {string} update.itemId
+ * @param {string} update.title
+ * @param {number|null} update.previousTimeUpdated - The item's last known update time (unix seconds).
+ * @param {number} update.timeUpdated - The item's new update time (unix seconds).
+ * @param {'update-check'|'catch-up'} update.source - Whether the update was found by a regular check or by the catch-up on startup.
+ * @param {Object} delivery
+ * @param {string} delivery.channelId
+ * @param {string} delivery.status - One of the deliveryStatuses.
+ * @param {string} [delivery.entryId] - The outbox entry of the message.
+ * @param {string} [delivery.error]
+ */
+function logUpdateEvent(guildId, update, delivery) {
+	const data = eventLogStore.read();
+	const events = data[guildId] || [];
+
+	const now = Date.now();
+
+	let event = events.find(existing =>
+		existing.type === update.type && existing.itemId === update.itemId && existing.timeUpdated === update.timeUpdated &&
+		now - existing.detectedAt < mergeWindow && !existing.deliveries.some(logged => logged.channelId === delivery.channelId));
+
+	if (!event) {
+		event = { eventId: randomUUID().slice(0, 8), ...update, detectedAt: now, deliveries: [] };
+		events.push(event);
+	}
+
+	event.deliveries.push({ channelId: delivery.channelId, status: delivery.status, entryId: delivery.entryId || null, error: delivery.error || null });
+
+	data[guildId] = events.slice(-maxEventsPerGuild);
+	eventLogStore.save();
+}
+
+/**
+ * Updates the delivery result of a queued message once it was sent or failed permanently.
+ * A digest message carries the deliveries of every update it lists.
+ *
+ * @param entryId - The outbox entry of the message.
+ * @param status - One of the deliveryStatuses.
+ * @param [error]
+ */
+function setDeliveryStatus(entryId, status, error = null) {
+	const data = eventLogStore.read();
+	let updated = false;
+
+	for (const events of Object.values(data)) {
+		for (const event of events) {
+			for (const delivery of event.deliveries) {
+				if (delivery.entryId !== entryId) continue;
+
+				delivery.status = status;
+				delivery.error = error;
+				updated = true;
+			}
+		}
+	}
+
+	if (updated) eventLogStore.save();
+}
+
+/**
+ * Replaces the delivery result of updates added to a digest with the result of posting the digest.
+ * The deliveries take over the digest message's outbox entry, so a digest queued for retry is
+ * filled in once the outbox sends it or gives up.
+ *
+ * @param entryIds - The digest entries of the posted updates.
+ * @param {Object} delivery - The result of posting the digest.
+ * @param {string} delivery.status - One of the deliveryStatuses.
+ * @param {string} delivery.entryId - The outbox entry of the digest message.
+ * @param {string|null} [delivery.error]
+ */
+function setDigestDeliveryStatus(entryIds, delivery) {
+	const pending = new Set(entryIds);
+	if (pending.size === 0) return;
+
+	const data = eventLogStore.read();
+	let updated = false;
+
+	for (const events of Object.values(data)) {
+		for (const event of events) {
+			for (const logged of event.deliveries) {
+				if (logged.status !== 'digest' || !pending.has(logged.entryId)) continue;
+
+				logged.status = delivery.status;
+				logged.entryId = delivery.entryId;
+				logged.error = delivery.error || null;
+				updated = true;
+			}
+		}
+	}
+
+	if (updated) eventLogStore.save();
+}
+
+/**
+ * Gets the logged events of a guild, newest first.
+ *
+ * @param guildId
+ * @param {Object} [filters]
+ * @param {string} [filters.channelId] - Only events delivered to this channel.
+ * @param {string} [filters.itemId] - Only events of this item.
+ * @param {number} [filters.since] - Only events detected at or after this time (milliseconds).
+ * @param {number} [filters.until] - Only events detected before this time (milliseconds).
+ * @returns {Array}
+ */
+function getEvents(guildId, { channelId = null, itemId = null, since = null, until = null } = {}) {
+	const events = eventLogStore.read()[guildId] || [];
+
+	return events
+		.filter(event =>
+			(!channelId || event.deliveries.some(delivery => delivery.channelId === channelId)) &&
+			(!itemId || event.itemId === itemId) &&
+			(since === null || event.detectedAt >= since) &&
+			(until === null || event.detectedAt < until))
+		.reverse();
+}
+
+module.exports = {
+	deliveryStatuses,
+	logUpdateEvent,
+	setDeliveryStatus,
+	setDigestDeliveryStatus,
+	getEvents,
+};
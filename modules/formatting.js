@@ -1,3 +1,5 @@
+const { t } = require('./i18n');
+
 /**
  * Converts Steam formatting to Discord Markdown with optional safe truncation.
  *
@@ -130,7 +132,78 @@ function truncate(text, maxLength) {
 	return text.slice(0, maxLength - 3) + '...';
 }
 
+/**
+ * Joins lines into a newline separated list that fits within a maximum length.
+ * Lines that do not fit are replaced with a "... and N more" line.
+ *
+ * @param {string[]} lines
+ * @param {number} maxLength
+ * @param [locale] - The language of the "... and N more" line.
+ * @returns {string}
+ */
+function formatList(lines, maxLength, locale = null) {
+	const joined = lines.join('\n');
+	if (joined.length <= maxLength) return joined;
+
+	const included = [];
+	let length = 0;
+
+	for (const line of lines) {
+		const suffix = t(locale, 'common.andMore', { count: lines.length - included.length });
+
+		if (length + line.length + 1 + suffix.length > maxLength) {
+			included.push(suffix);
+			break;
+		}
+
+		included.push(line);
+		length += line.length + 1;
+	}
+
+	return included.join('\n');
+}
+
+/**
+ * The styles Discord can render a timestamp in.
+ * Timestamps are shown in each reader's own locale and timezone.
+ */
+const timestampStyles = {
+	shortTime: 't',
+	longTime: 'T',
+	shortDate: 'd',
+	longDate: 'D',
+	shortDateTime: 'f',
+	longDateTime: 'F',
+	relative: 'R',
+};
+
+/**
+ * Formats a unix timestamp as a Discord timestamp, e.g. `<t:1700000000:f>`.
+ *
+ * @param {number} time - Unix timestamp in seconds.
+ * @param {string} [style] - One of the timestampStyles, defaults to the short date and time.
+ * @returns {string}
+ */
+function formatTimestamp(time, style = timestampStyles.shortDateTime) {
+	return `<t:${Math.floor(time)}:${style}>`;
+}
+
+/**
+ * Formats a unix timestamp as a Discord date and time followed by the relative time,
+ * e.g. "20 March 2024 15:45 (3 hours ago)".
+ *
+ * @param {number} time - Unix timestamp in seconds.
+ * @returns {string}
+ */
+function formatDateTime(time) {
+	return `${formatTimestamp(time)} (${formatTimestamp(time, timestampStyles.relative)})`;
+}
+
 module.exports = {
 	steamToDiscordFormatting,
 	truncate,
+	formatList,
+	timestampStyles,
+	formatTimestamp,
+	formatDateTime,
 };
@@ -0,0 +1,78 @@
+/**
+ * @file frequency.js
+ * Works out how often each workshop item should be polled based on its update history.
+ *
+ * Items that update frequently are checked every cycle, while dormant items
+ * are backed off to progressively longer intervals.
+ */
+
+const day = 24 * 60 * 60 * 1000;
+
+const pollTiers = [
+	{ maxActivityAge: 7 * day, delay: 0 },
+	{ maxActivityAge: 30 * day, delay: 15 * 60 * 1000 },
+	{ maxActivityAge: 180 * day, delay: 60 * 60 * 1000 },
+	{ maxActivityAge: 730 * day, delay: 3 * 60 * 60 * 1000 },
+	{ maxActivityAge: Infinity, delay: 6 * 60 * 60 * 1000 },
+];
+
+const maxUpdateTimes = 10;
+
+/**
+ * Records an update time in an item's update history.
+ * The history is kept sorted, de-duplicated and limited to the most recent entries.
+ *
+ * @param {number[]} updateTimes - The existing update times (unix seconds).
+ * @param {...number} newTimes - The update times to add (unix seconds).
+ * @returns {number[]} The new update history.
+ */
+function recordUpdateTimes(updateTimes, ...newTimes) {
+	const times = new Set(updateTimes || []);
+
+	for (const time of newTimes) {
+		if (time > 0) times.add(time);
+	}
+
+	return [...times].sort((a, b) => a - b).slice(-maxUpdateTimes);
+}
+
+/**
+ * Gets how long to wait before polling an item again.
+ * The delay is based on whichever is shorter: the time since the item was last updated,
+ * or the average gap between its recorded updates.
+ *
+ * @param {number} timeUpdated - The item's last update time (unix seconds).
+ * @param {number[]} [updateTimes] - The item's recorded update times (unix seconds).
+ * @returns {number} The delay in milliseconds.
+ */
+function getPollDelay(timeUpdated, updateTimes) {
+	const times = recordUpdateTimes(updateTimes, timeUpdated);
+
+	if (times.length === 0) return 0;
+
+	let activityAge = Date.now() - times[times.length - 1] * 1000;
+
+	if (times.length > 1) {
+		const averageGap = (times[times.length - 1] - times[0]) * 1000 / (times.length - 1);
+		activityAge = Math.min(activityAge, averageGap);
+	}
+
+	return pollTiers.find(tier => activityAge < tier.maxActivityAge).delay;
+}
+
+/**
+ * Gets the next time an item should be polled.
+ *
+ * @param {number} timeUpdated - The item's last update time (unix seconds).
+ * @param {number[]} [updateTimes] - The item's recorded update times (unix seconds).
+ * @returns {number} The next check time in milliseconds since the epoch.
+ */
+function getNextCheckTime(timeUpdated, updateTimes) {
+	return Date.now() + getPollDelay(timeUpdated, updateTimes);
+}
+
+module.exports = {
+	recordUpdateTimes,
+	getPollDelay,
+	getNextCheckTime,
+};
@@ -0,0 +1,112 @@
+/**
+ * @file i18n.js
+ * Translates bot responses and notification embeds.
+ *
+ * Translations are stored as nested JSON objects in the locales directory, one file per language.
+ * Missing translations fall back to English, and `{name}` variables are replaced with the given values.
+ * Notifications use the language set for the guild, while ephemeral replies follow the user's Discord locale.
+ */
+
+const { getGuildSettings } = require('./settings');
+
+const defaultLanguage = 'en';
+
+const supportedLanguages = {
+	'en': 'English',
+	'de': 'Deutsch',
+	'pt-BR': 'Português (Brasil)',
+};
+
+const translations = {
+	'en': require('../locales/en.json'),
+	'de': require('../locales/de.json'),
+	'pt-BR': require('../locales/pt-BR.json'),
+};
+
+/**
+ * Gets the supported language matching a Discord locale, such as `de` or `pt-BR`.
+ *
+ * @param locale
+ * @returns {string} One of the keys of `supportedLanguages`.
+ */
+function resolveLanguage(locale) {
+	if (!locale) return defaultLanguage;
+	if (translations[locale]) return locale;
+
+	const baseLanguage = locale.split('-')[0];
+	return Object.keys(translations).find(language => language.split('-')[0] === baseLanguage) || defaultLanguage;
+}
+
+/**
+ * Looks up a dotted key in a translation object.
+ *
+ * @param translation
+ * @param key
+ * @returns {string|undefined}
+ */
+function lookup(translation, key) {
+	const value = key.split('.').reduce((node, part) => node?.[part], translation);
+	return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translates a key into a language, replacing any `{name}` variables with the given values.
+ *
+ * @param locale - A supported language or Discord locale.
+ * @param key - The dotted translation key, e.g. `errors.title`.
+ * @param [variables]
+ * @returns {string} The translation, the English text if it is missing, or the key if neither exists.
+ */
+function t(locale, key, variables = {}) {
+	const text = lookup(translations[resolveLanguage(locale)], key) ?? lookup(translations[defaultLanguage], key) ?? key;
+	return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in variables ? String(variables[name]) : placeholder));
+}
+
+/**
+ * Checks whether a key has an English translation.
+ *
+ * @param key
+ * @returns {boolean}
+ */
+function hasTranslation(key) {
+	return lookup(translations[defaultLanguage], key) !== undefined;
+}
+
+/**
+ * Gets the translations of a key in every supported language other than English,
+ * in the form used by discord.js name and description localizations.
+ *
+ * @param key
+ * @returns {Object<string, string>}
+ */
+function getLocalizations(key) {
+	const localizations = {};
+
+	for (const language of Object.keys(supportedLanguages)) {
+		if (language === defaultLanguage) continue;
+
+		const text = lookup(translations[language], key);
+		if (text) localizations[language] = text;
+	}
+
+	return localizations;
+}
+
+/**
+ * Gets the language update notifications are posted in for a guild.
+ *
+ * @param guildId
+ * @returns {string}
+ */
+function getGuildLanguage(guildId) {
+	return resolveLanguage(getGuildSettings(guildId).language);
+}
+
+module.exports = {
+	supportedLanguages,
+	resolveLanguage,
+	t,
+	hasTranslation,
+	getLocalizations,
+	getGuildLanguage,
+};
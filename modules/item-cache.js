@@ -0,0 +1,110 @@
+/**
+ * @file item-cache.js
+ * Caches the metadata of subscribed workshop items, so names and thumbnails can be shown
+ * in listings, autocomplete and notifications without extra Steam API calls.
+ *
+ * Items are cached when they are subscribed to and refreshed on every update check.
+ * Items that are removed, banned or private keep their last known metadata.
+ * The cache is stored in the items JSON file as `{ [itemId]: item }`. Items that have not
+ * been refreshed for a while are no longer subscribed anywhere and are dropped.
+ */
+
+const { getDataStore } = require('./data-store');
+
+const itemCacheStore = getDataStore('items.json');
+
+const maxItemAge = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Converts published file details to a cached item.
+ *
+ * @param fileDetails
+ * @returns {{title: string, previewUrl: (string|null), creator: (string|null), appId: (number|null), stats: Object, timeUpdated: (number|null), cachedAt: number}}
+ */
+function buildCachedItem(fileDetails) {
+	return {
+		title: fileDetails.title || '',
+		previewUrl: fileDetails.preview_url || null,
+		creator: fileDetails.creator || null,
+		appId: fileDetails.consumer_app_id ?? null,
+		stats: {
+			subscriptions: fileDetails.subscriptions ?? null,
+			favorited: fileDetails.favorited ?? null,
+			views: fileDetails.views ?? null,
+		},
+		timeUpdated: fileDetails.time_updated ?? null,
+		cachedAt: Date.now(),
+	};
+}
+
+/**
+ * Caches the metadata of workshop items from their published file details.
+ * Items that have not been refreshed within the maximum age are dropped.
+ *
+ * @param {Object[]} fileDetailsList - Published file details of valid items.
+ */
+function cacheItemDetails(fileDetailsList) {
+	const data = itemCacheStore.read();
+	const now = Date.now();
+
+	for (const fileDetails of fileDetailsList) {
+		if (!fileDetails?.publishedfileid) continue;
+		data[fileDetails.publishedfileid] = buildCachedItem(fileDetails);
+	}
+
+	for (const [itemId, item] of Object.entries(data)) {
+		if (now - item.cachedAt > maxItemAge) delete data[itemId];
+	}
+
+	itemCacheStore.save();
+}
+
+/**
+ * Marks the cached metadata of workshop items as still in use without changing it,
+ * so items Steam reports as unavailable keep their last known title and thumbnail.
+ *
+ * @param {string[]} itemIds
+ */
+function touchCachedItems(itemIds) {
+	const data = itemCacheStore.read();
+	const now = Date.now();
+	let touched = false;
+
+	for (const itemId of itemIds) {
+		if (!data[itemId]) continue;
+
+		data[itemId].cachedAt = now;
+		touched = true;
+	}
+
+	if (touched) itemCacheStore.save();
+}
+
+/**
+ * Gets the cached metadata of a workshop item.
+ *
+ * @param itemId
+ * @returns {Object|null}
+ */
+function getCachedItem(itemId) {
+	return itemCacheStore.read()[itemId] || null;
+}
+
+/**
+ * Adds the cached title of each subscription's item as its `name`.
+ * Subscriptions of items that are not cached yet are returned without a name.
+ *
+ * @param notifications
+ * @returns {Array}
+ */
+function withItemNames(notifications) {
+	const data = itemCacheStore.read();
+	return notifications.map(n => (data[n.id]?.title ? { ...n, name: data[n.id].title } : n));
+}
+
+module.exports = {
+	cacheItemDetails,
+	touchCachedItems,
+	getCachedItem,
+	withItemNames,
+};
@@ -0,0 +1,184 @@
+/**
+ * @file json-storage.js
+ * The JSON file storage backend for notification subscriptions.
+ *
+ * Subscriptions are kept in a single JSON file in the data directory,
+ * nested by guild ID and channel ID: `{ guildId: { channelId: [entries] } }`.
+ * The file is kept in memory through its data store, which writes changes back
+ * in coalesced flushes (see modules/data-store.js).
+ */
+
+const { getDataStore } = require('./data-store');
+
+/**
+ * Creates a storage backend that keeps the subscriptions in a JSON data file.
+ *
+ * @param {string} [fileName] - The name of the file in the data directory.
+ * @returns {Object} The storage backend.
+ */
+function createJsonStorage(fileName = 'notifications.json') {
+	const store = getDataStore(fileName);
+	const data = store.read();
+
+	/**
+	 * Copies stored data before it is returned, so callers cannot change the store without saving.
+	 *
+	 * @param value
+	 * @returns {any}
+	 */
+	function copy(value) {
+		return structuredClone(value);
+	}
+
+	/**
+	 * Finds a subscription in the loaded data.
+	 *
+	 * @param guildId
+	 * @param channelId
+	 * @param type
+	 * @param id
+	 * @returns {Object|undefined}
+	 */
+	function findNotification(guildId, channelId, type, id) {
+		return data[guildId]?.[channelId]?.find(entry => entry.type === type && entry.id === id);
+	}
+
+	return {
+		name: 'json',
+
+		isNotification(guildId, channelId, type, id) {
+			return !!findNotification(guildId, channelId, type, id);
+		},
+
+		addNotification(guildId, channelId, type, id) {
+			if (!data[guildId]) {
+				data[guildId] = {};
+			}
+
+			if (!data[guildId][channelId]) {
+				data[guildId][channelId] = [];
+			}
+
+			if (data[guildId][channelId].some(entry => entry.type === type && entry.id === id)) {
+				return false;
+			}
+
+			data[guildId][channelId].push({ type, id });
+			store.save();
+			return true;
+		},
+
+		removeNotification(guildId, channelId, type, id) {
+			if (!data[guildId] || !data[guildId][channelId]) {
+				return false;
+			}
+
+			const initialLength = data[guildId][channelId].length;
+			data[guildId][channelId] = data[guildId][channelId].filter(entry => !(entry.type === type && entry.id === id));
+
+			if (data[guildId][channelId].length === 0) {
+				delete data[guildId][channelId];
+			}
+			if (Object.keys(data[guildId]).length === 0) {
+				delete data[guildId];
+			}
+
+			if (initialLength === data[guildId]?.[channelId]?.length) {
+				return false;
+			}
+
+			store.save();
+			return true;
+		},
+
+		removeAllNotifications(guildId, channelId) {
+			if (!data[guildId] || !data[guildId][channelId]) {
+				return false;
+			}
+
+			delete data[guildId][channelId];
+
+			if (Object.keys(data[guildId]).length === 0) {
+				delete data[guildId];
+			}
+
+			store.save();
+			return true;
+		},
+
+		getAllNotifications() {
+			return copy(data);
+		},
+
+		getGuildNotifications(guildId) {
+			return copy(data[guildId] || {});
+		},
+
+		getChannelNotifications(guildId, channelId) {
+			return copy(data[guildId]?.[channelId] || []);
+		},
+
+		getNotificationLastUpdated(guildId, channelId, type, id) {
+			const notification = findNotification(guildId, channelId, type, id);
+			return notification ? notification.lastUpdated : null;
+		},
+
+		setNotificationLastUpdated(guildId, channelId, type, id, timestamp) {
+			return this.updateNotification(guildId, channelId, type, id, { lastUpdated: timestamp });
+		},
+
+		updateNotification(guildId, channelId, type, id, fields) {
+			const notification = findNotification(guildId, channelId, type, id);
+			if (notification) {
+				Object.assign(notification, copy(fields));
+				store.save();
+				return true;
+			}
+
+			return false;
+		},
+
+		moveChannelNotifications(guildId, fromChannelId, toChannelId) {
+			if (!data[guildId] || !data[guildId][fromChannelId]) {
+				return 0;
+			}
+
+			const targetNotifications = data[guildId][toChannelId] || [];
+			const moved = data[guildId][fromChannelId]
+				.filter(entry => !targetNotifications.some(target => target.type === entry.type && target.id === entry.id))
+				.map(entry => ({ ...entry, suspendedAt: null, threadId: null }));
+
+			data[guildId][toChannelId] = [...targetNotifications, ...moved];
+			delete data[guildId][fromChannelId];
+
+			store.save();
+			return moved.length;
+		},
+
+		importNotifications(notifications) {
+			let importedCount = 0;
+
+			for (const [guildId, channels] of Object.entries(notifications)) {
+				for (const [channelId, entries] of Object.entries(channels)) {
+					for (const entry of entries) {
+						if (findNotification(guildId, channelId, entry.type, entry.id)) continue;
+
+						data[guildId] = data[guildId] || {};
+						data[guildId][channelId] = data[guildId][channelId] || [];
+						data[guildId][channelId].push(copy(entry));
+						importedCount += 1;
+					}
+				}
+			}
+
+			store.save();
+			return importedCount;
+		},
+
+		flush: store.flush,
+	};
+}
+
+module.exports = {
+	createJsonStorage,
+};
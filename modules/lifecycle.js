@@ -0,0 +1,67 @@
+/**
+ * @file lifecycle.js
+ * Works out whether a watched workshop item is still available,
+ * and how often unavailable items should be polled.
+ */
+
+const { isValidItemDetails } = require('./steam');
+const { t } = require('./i18n');
+
+const hour = 60 * 60 * 1000;
+
+const itemStates = {
+	available: 'Available',
+	private: 'Private',
+	removed: 'Removed',
+	banned: 'Banned',
+};
+
+const unavailablePollDelays = {
+	private: 6 * hour,
+	removed: 24 * hour,
+	banned: 24 * hour,
+};
+
+/**
+ * Gets the state of an item from its published file details.
+ * Items the Steam API no longer returns details for are treated as removed.
+ *
+ * @param fileDetails
+ * @returns {string} One of the keys of `itemStates`.
+ */
+function getItemState(fileDetails) {
+	if (!isValidItemDetails(fileDetails) || fileDetails.result !== 1) return 'removed';
+	if (fileDetails.banned) return 'banned';
+	if (fileDetails.visibility === 1 || fileDetails.visibility === 2) return 'private';
+
+	return 'available';
+}
+
+/**
+ * Gets how long to wait before polling an unavailable item again.
+ *
+ * @param state
+ * @returns {number} The delay in milliseconds.
+ */
+function getUnavailablePollDelay(state) {
+	return unavailablePollDelays[state] || 0;
+}
+
+/**
+ * Formats a notification's stored state for listings.
+ * Available items have no label.
+ *
+ * @param state
+ * @param [locale] - The language to show the state in.
+ * @returns {string}
+ */
+function formatItemState(state, locale = null) {
+	return state && state !== 'available' && itemStates[state] ? ` [${t(locale, `notifications.states.${state}`)}]` : '';
+}
+
+module.exports = {
+	itemStates,
+	getItemState,
+	getUnavailablePollDelay,
+	formatItemState,
+};
@@ -0,0 +1,93 @@
+/**
+ * @file mentions.js
+ * Builds the role and user mentions sent with update notifications.
+ *
+ * Mentions are stored as `{ roles: [], users: [] }` on a channel's settings or on a single subscription.
+ * Only the stored roles and users are ever allowed to be pinged, so notification content can never
+ * mention @everyone, @here or anyone else.
+ */
+
+const { t } = require('./i18n');
+
+const maxMentions = 10;
+
+/**
+ * Combines several stored mention lists into one, removing duplicates.
+ *
+ * @param {...Object} mentionLists
+ * @returns {{roles: string[], users: string[]}}
+ */
+function mergeMentions(...mentionLists) {
+	const roles = new Set();
+	const users = new Set();
+
+	for (const mentions of mentionLists) {
+		(mentions?.roles || []).forEach(roleId => roles.add(roleId));
+		(mentions?.users || []).forEach(userId => users.add(userId));
+	}
+
+	return { roles: [...roles], users: [...users] };
+}
+
+/**
+ * Adds or removes a role or user from a stored mention list.
+ *
+ * @param mentions - The stored mention list.
+ * @param {'roles'|'users'} kind
+ * @param targetId - The role or user ID.
+ * @param {boolean} add - Whether to add or remove the target.
+ * @returns {{roles: string[], users: string[]}|null} The new mention list, or null if it would exceed the limit.
+ */
+function updateMentions(mentions, kind, targetId, add) {
+	const updated = mergeMentions(mentions);
+
+	if (add) {
+		if (!updated[kind].includes(targetId)) updated[kind].push(targetId);
+		if (updated[kind].length > maxMentions) return null;
+	}
+	else {
+		updated[kind] = updated[kind].filter(id => id !== targetId);
+	}
+
+	return updated;
+}
+
+/**
+ * Formats a stored mention list for display.
+ *
+ * @param mentions
+ * @param [locale] - The language to show an empty list in.
+ * @returns {string}
+ */
+function formatMentions(mentions, locale = null) {
+	const formatted = [
+		...(mentions?.roles || []).map(roleId => `<@&${roleId}>`),
+		...(mentions?.users || []).map(userId => `<@${userId}>`),
+	];
+
+	return formatted.length > 0 ? formatted.join(' ') : t(locale, 'common.none');
+}
+
+/**
+ * Builds the message content and allowed mentions for a stored mention list.
+ *
+ * @param mentions
+ * @returns {{content: string, allowedMentions: {parse: Array, roles: string[], users: string[]}}}
+ */
+function buildMentionPayload(mentions) {
+	const { roles, users } = mergeMentions(mentions);
+	const content = formatMentions({ roles, users });
+
+	return {
+		content: roles.length > 0 || users.length > 0 ? content : '',
+		allowedMentions: { parse: [], roles, users },
+	};
+}
+
+module.exports = {
+	maxMentions,
+	mergeMentions,
+	updateMentions,
+	formatMentions,
+	buildMentionPayload,
+};
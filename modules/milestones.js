@@ -0,0 +1,48 @@
+/**
+ * @file milestones.js
+ * Works out which subscriber milestones a workshop item has passed.
+ */
+
+const defaultMilestones = [
+	100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000,
+	100000, 250000, 500000, 1000000, 2500000, 5000000, 10000000,
+];
+
+const maxMilestones = 20;
+
+/**
+ * Gets the highest milestone a subscriber count has reached.
+ *
+ * @param {number} subscriptions - The item's current subscriber count.
+ * @param {number[]|null} [thresholds] - Custom thresholds, or the default ladder if not provided.
+ * @returns {number} The highest milestone reached, or 0 if none have been reached.
+ */
+function getReachedMilestone(subscriptions, thresholds) {
+	return (thresholds || defaultMilestones)
+		.filter(threshold => subscriptions >= threshold)
+		.reduce((highest, threshold) => Math.max(highest, threshold), 0);
+}
+
+/**
+ * Parses a comma separated list of milestone thresholds.
+ *
+ * @param {string} text
+ * @returns {number[]|null} The sorted thresholds, or null if the list is invalid.
+ */
+function parseMilestones(text) {
+	const values = text.split(',').map(value => value.trim()).filter(value => value.length > 0);
+
+	if (values.length === 0 || values.length > maxMilestones || values.some(value => !/^\d+$/.test(value))) {
+		return null;
+	}
+
+	const thresholds = [...new Set(values.map(value => parseInt(value, 10)))].filter(threshold => threshold > 0);
+	return thresholds.length > 0 ? thresholds.sort((a, b) => a - b) : null;
+}
+
+module.exports = {
+	defaultMilestones,
+	maxMilestones,
+	getReachedMilestone,
+	parseMilestones,
+};
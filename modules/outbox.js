@@ -0,0 +1,317 @@
+/**
+ * @file outbox.js
+ * Persists outbound notifications that could not be delivered and retries them.
+ *
+ * Messages that fail with a transient Discord error, such as a server error or rate limit,
+ * are queued and retried with exponential backoff. Messages that fail permanently,
+ * such as when the bot has lost access to a channel, are moved to a dead-letter list
+ * that administrators can inspect and replay.
+ *
+ * The queue is stored in the outbox JSON file as `{ pending: [], deadLetters: [] }` so it survives restarts.
+ */
+
+const { randomUUID } = require('crypto');
+const { DiscordAPIError, HTTPError, RateLimitError } = require('discord.js');
+const { getDataStore } = require('./data-store');
+const { getChannelNotifications } = require('./common');
+const { sendNotification } = require('./delivery');
+const { setDeliveryStatus } = require('./event-log');
+
+const outboxStore = getDataStore('outbox.json');
+
+const retryBaseDelay = 60 * 1000;
+const retryMaxDelay = 60 * 60 * 1000;
+const maxAttempts = 10;
+const maxDeadLetters = 200;
+
+const transientErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+/**
+ * Reads the loaded outbox, filling in any missing lists.
+ * The outbox is shared, so changes to it must be saved with `outboxStore.save()`.
+ *
+ * @returns {{pending: Array, deadLetters: Array}}
+ */
+function readOutbox() {
+	const data = outboxStore.read();
+	data.pending = data.pending || [];
+	data.deadLetters = data.deadLetters || [];
+	return data;
+}
+
+/**
+ * Checks whether a failed send is worth retrying.
+ * Rate limits, Discord server errors and network errors are transient,
+ * while every other error, such as missing access or an unknown channel, is permanent.
+ *
+ * @param error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+	if (error instanceof RateLimitError) return true;
+
+	if (error instanceof DiscordAPIError || error instanceof HTTPError) {
+		return error.status === 429 || error.status >= 500;
+	}
+
+	return transientErrorCodes.includes(error?.code) || error?.name === 'AbortError';
+}
+
+/**
+ * Gets the delay before the next attempt to send a queued message.
+ *
+ * @param attempts - The number of failed attempts so far.
+ * @returns {number} Milliseconds.
+ */
+function getRetryDelay(attempts) {
+	return Math.min(retryBaseDelay * 2 ** (attempts - 1), retryMaxDelay);
+}
+
+/**
+ * Builds the stored form of a message so it can be retried after a restart.
+ *
+ * @param target - The target passed to `sendNotification`.
+ * @param payload - The message options, with any embed builders.
+ * @returns {Object}
+ */
+function buildOutboxEntry({ guildId, channelId, subscription = null, title = null, persona = null }, payload) {
+	return {
+		entryId: randomUUID().slice(0, 8),
+		guildId,
+		channelId,
+		subscription: subscription ? { type: subscription.type, id: subscription.id } : null,
+		title,
+		persona,
+		payload: {
+			...payload,
+			embeds: (payload.embeds || []).map(embed => (typeof embed.toJSON === 'function' ? embed.toJSON() : embed)),
+		},
+		attempts: 0,
+		createdAt: Date.now(),
+		nextAttemptAt: Date.now(),
+		lastError: null,
+	};
+}
+
+/**
+ * Rebuilds the target of a stored message, looking up its subscription's current state.
+ * Messages for subscriptions that have since been removed are posted directly to the channel.
+ *
+ * @param entry
+ * @returns {Object}
+ */
+function getEntryTarget(entry) {
+	const { guildId, channelId, title, persona } = entry;
+	let subscription = null;
+
+	if (entry.subscription) {
+		const notification = getChannelNotifications(guildId, channelId)
+			.find(n => n.type === entry.subscription.type && n.id === entry.subscription.id);
+
+		subscription = notification ? { guildId, channelId, ...notification } : null;
+	}
+
+	return { guildId, channelId, subscription, title, persona };
+}
+
+/**
+ * Records a failed attempt on a stored message, queueing it for a retry
+ * or moving it to the dead-letter list.
+ *
+ * @param outbox
+ * @param entry
+ * @param error
+ * @returns {boolean} Whether the message will be retried.
+ */
+function recordFailure(outbox, entry, error) {
+	entry.attempts += 1;
+	entry.lastError = error?.message || String(error);
+
+	if (isTransientError(error) && entry.attempts < maxAttempts) {
+		entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+		outbox.pending.push(entry);
+
+		console.warn(`Warning | Failed to send message to channel ${entry.channelId}, retrying in ${Math.round(getRetryDelay(entry.attempts) / 1000)}s: ${entry.lastError}`);
+		return true;
+	}
+
+	entry.failedAt = Date.now();
+	outbox.deadLetters.push(entry);
+	outbox.deadLetters = outbox.deadLetters.slice(-maxDeadLetters);
+
+	console.error(`Error | Failed to send message to channel ${entry.channelId}, moved to dead letters: ${entry.lastError}`);
+	return false;
+}
+
+/**
+ * Sends a notification, queueing it for a retry if the send fails.
+ * Messages for a channel that still has queued messages are queued behind them so updates stay in order.
+ *
+ * @param client
+ * @param target - The target passed to `sendNotification`.
+ * @param payload - The message options to send.
+ * @returns {Promise<{status: ('sent'|'queued'|'failed'), entryId: string, error: (string|null)}>} The result of the first attempt.
+ */
+async function sendOrQueue(client, target, payload) {
+	const entry = buildOutboxEntry(target, payload);
+	let outbox = readOutbox();
+
+	if (outbox.pending.some(pendingEntry => pendingEntry.channelId === target.channelId)) {
+		outbox.pending.push(entry);
+		outboxStore.save();
+		return { status: 'queued', entryId: entry.entryId, error: null };
+	}
+
+	try {
+		await sendNotification(client, target, entry.payload);
+		return { status: 'sent', entryId: entry.entryId, error: null };
+	}
+	catch (error) {
+		outbox = readOutbox();
+		const retrying = recordFailure(outbox, entry, error);
+		outboxStore.save();
+		return { status: retrying ? 'queued' : 'failed', entryId: entry.entryId, error: entry.lastError };
+	}
+}
+
+/**
+ * Retries every queued message that is due.
+ * Messages are retried in the order they were queued, and a channel's remaining messages
+ * are left for later once one of them fails.
+ *
+ * @param client
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function processOutbox(client) {
+	const pending = [...readOutbox().pending];
+	if (pending.length === 0) return { sent: 0, failed: 0 };
+
+	const now = Date.now();
+	const blockedChannels = new Set();
+	const remaining = [];
+	const failures = [];
+	let sent = 0;
+
+	for (const entry of pending) {
+		if (blockedChannels.has(entry.channelId) || entry.nextAttemptAt > now) {
+			blockedChannels.add(entry.channelId);
+			remaining.push(entry);
+			continue;
+		}
+
+		try {
+			await sendNotification(client, getEntryTarget(entry), entry.payload);
+			setDeliveryStatus(entry.entryId, 'sent');
+			sent += 1;
+		}
+		catch (error) {
+			blockedChannels.add(entry.channelId);
+			failures.push({ entry, error });
+		}
+	}
+
+	const outbox = readOutbox();
+	const processedIds = new Set(pending.map(entry => entry.entryId));
+
+	outbox.pending = [
+		...remaining,
+		...outbox.pending.filter(entry => !processedIds.has(entry.entryId)),
+	];
+
+	for (const { entry, error } of failures) {
+		if (!recordFailure(outbox, entry, error)) {
+			setDeliveryStatus(entry.entryId, 'failed', entry.lastError);
+		}
+	}
+
+	outbox.pending.sort((a, b) => a.createdAt - b.createdAt);
+	outboxStore.save();
+
+	if (sent > 0) {
+		console.log(`Info | Delivered ${sent} queued message(s).`);
+	}
+
+	return { sent, failed: failures.length };
+}
+
+/**
+ * Gets the number of messages waiting to be retried in a guild.
+ *
+ * @param guildId
+ * @returns {number}
+ */
+function getPendingCount(guildId) {
+	return readOutbox().pending.filter(entry => entry.guildId === guildId).length;
+}
+
+/**
+ * Gets the messages of a guild that permanently failed to send, newest first.
+ *
+ * @param guildId
+ * @returns {Array}
+ */
+function getDeadLetters(guildId) {
+	return readOutbox().deadLetters
+		.filter(entry => entry.guildId === guildId)
+		.reverse();
+}
+
+/**
+ * Moves dead-lettered messages of a guild back into the queue so they are retried on the next check.
+ *
+ * @param guildId
+ * @param [entryId] - The message to replay, or every message of the guild if empty.
+ * @returns {number} The number of messages queued again.
+ */
+function replayDeadLetters(guildId, entryId = null) {
+	const outbox = readOutbox();
+
+	const replayed = outbox.deadLetters.filter(entry =>
+		entry.guildId === guildId && (!entryId || entry.entryId === entryId),
+	);
+
+	if (replayed.length === 0) return 0;
+
+	const replayedIds = new Set(replayed.map(entry => entry.entryId));
+	outbox.deadLetters = outbox.deadLetters.filter(entry => !replayedIds.has(entry.entryId));
+
+	for (const entry of replayed) {
+		delete entry.failedAt;
+		outbox.pending.push({ ...entry, attempts: 0, nextAttemptAt: Date.now() });
+		setDeliveryStatus(entry.entryId, 'queued');
+	}
+
+	outbox.pending.sort((a, b) => a.createdAt - b.createdAt);
+	outboxStore.save();
+
+	return replayed.length;
+}
+
+/**
+ * Removes dead-lettered messages of a guild without sending them.
+ *
+ * @param guildId
+ * @param [entryId] - The message to discard, or every message of the guild if empty.
+ * @returns {number} The number of messages discarded.
+ */
+function discardDeadLetters(guildId, entryId = null) {
+	const outbox = readOutbox();
+	const count = outbox.deadLetters.length;
+
+	outbox.deadLetters = outbox.deadLetters.filter(entry =>
+		entry.guildId !== guildId || (entryId && entry.entryId !== entryId),
+	);
+
+	outboxStore.save();
+	return count - outbox.deadLetters.length;
+}
+
+module.exports = {
+	isTransientError,
+	sendOrQueue,
+	processOutbox,
+	getPendingCount,
+	getDeadLetters,
+	replayDeadLetters,
+	discardDeadLetters,
+};
@@ -0,0 +1,990 @@
+/**
+ * @file poller.js
+ * Checks every subscribed workshop addon and collection for updates
+ * and posts update notifications to the subscribed channels.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getGuildNotifications, setNotificationLastUpdated, updateNotification } = require('./common');
+const { isValidItemDetails, getPublishedFileDetails, getCollectionDetails, getPlayerSummary } = require('./steam');
+const { recordUpdateTimes, getNextCheckTime } = require('./frequency');
+const { formatList, truncate, formatDateTime } = require('./formatting');
+const { getChangelog, getChangeNotesSince, formatChangeDate, formatChangeNotes, summarizeChangeNotes } = require('./changelog');
+const { buildSnapshot, diffSnapshots } = require('./snapshot');
+const { getChannelSettings } = require('./settings');
+const { getItemState, getUnavailablePollDelay } = require('./lifecycle');
+const { getReachedMilestone } = require('./milestones');
+const { deliveryModes, queueDigestEntry, getDueDigests, clearDigest } = require('./digest');
+const { mergeMentions, buildMentionPayload } = require('./mentions');
+const { sendOrQueue, processOutbox } = require('./outbox');
+const { checkMissingChannels } = require('./suspension');
+const { getTemplate, renderTemplate } = require('./templates');
+const { t, getGuildLanguage } = require('./i18n');
+const { logUpdateEvent, setDigestDeliveryStatus } = require('./event-log');
+const { cacheItemDetails, touchCachedItems, getCachedItem } = require('./item-cache');
+
+const catchUpEmbedLimit = 5;
+
+/**
+ * Gathers every subscription across every guild the client is in.
+ * Subscriptions that are suspended or whose channel is missing are skipped.
+ *
+ * @param client
+ * @returns {Array} The subscriptions, including their stored notification data.
+ */
+function collectSubscriptions(client) {
+	const subscriptions = [];
+
+	for (const guild of client.guilds.cache.values()) {
+		const searchGuildId = guild.id;
+		const guildNotifications = getGuildNotifications(searchGuildId);
+
+		for (const [channelId, notifications] of Object.entries(guildNotifications)) {
+			if (!guild.channels.cache.has(channelId)) continue;
+
+			for (const notification of notifications.filter(n => !n.suspendedAt)) {
+				subscriptions.push({ ...notification, guildId: searchGuildId, channelId });
+			}
+		}
+	}
+
+	return subscriptions;
+}
+
+/**
+ * Gets the Steam account details of an item creator, using the cycle's cache where possible.
+ *
+ * @param cycleCache
+ * @param steamId64
+ * @returns {Promise<*|null>}
+ */
+async function getCachedAccountDetails(cycleCache, steamId64) {
+	const accountDetailsCache = cycleCache.accountDetails;
+
+	if (!accountDetailsCache.has(steamId64)) {
+		const result = await getPlayerSummary(steamId64);
+
+		if (!result.ok) {
+			console.error(`Error | Failed to fetch Steam account details: ${result.error.message}`);
+		}
+
+		accountDetailsCache.set(steamId64, result.ok ? result.data : null);
+	}
+
+	return accountDetailsCache.get(steamId64);
+}
+
+/**
+ * Gets the changelog of an item, using the cycle's cache where possible.
+ * A failed fetch is logged and treated as an empty changelog.
+ *
+ * @param cycleCache
+ * @param id
+ * @returns {Promise<Array>}
+ */
+async function getCachedChangelog(cycleCache, id) {
+	const changelogCache = cycleCache.changelogs;
+
+	if (!changelogCache.has(id)) {
+		let changeNotes = [];
+
+		try {
+			changeNotes = await getChangelog(id);
+		}
+		catch (error) {
+			console.error(`Error | Failed to fetch changelog for ID ${id}: ${error.message}`);
+		}
+
+		changelogCache.set(id, changeNotes);
+	}
+
+	return changelogCache.get(id);
+}
+
+/**
+ * Sets the author of an update embed to the item creator's Steam account.
+ *
+ * @param embedData
+ * @param accountDetails
+ * @param steamId64
+ */
+function setCreatorAuthor(embedData, accountDetails, steamId64) {
+	if (accountDetails) {
+		embedData.setAuthor({
+			name: accountDetails.personaname || 'Unknown Creator',
+			iconURL: accountDetails.avatarfull || 'https://cdn.discordapp.com/embed/avatars/0.png',
+			url: accountDetails.profileurl || `https://steamcommunity.com/id/${steamId64}`,
+		});
+	}
+}
+
+/**
+ * Gets the name and avatar used to post as an item creator's Steam persona through a webhook.
+ *
+ * @param accountDetails
+ * @returns {{name: string, avatarURL: string}|null}
+ */
+function getCreatorPersona(accountDetails) {
+	if (!accountDetails?.personaname) return null;
+
+	return {
+		name: truncate(accountDetails.personaname, 80),
+		avatarURL: accountDetails.avatarfull || null,
+	};
+}
+
+/**
+ * Builds the embed posted when a watched addon has been updated, following the guild's template.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param id
+ * @param data
+ * @param lastUpdated
+ * @param changeNotes - The changelog entries made since the last known update.
+ * @param template - The guild's addon update template.
+ * @param [creatorName] - The Steam name of the addon's creator.
+ * @returns {EmbedBuilder}
+ */
+function buildAddonUpdateEmbed(client, language, id, data, lastUpdated, changeNotes, template, creatorName = null) {
+	const url = `https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`;
+	const size = `${(data.file_size / 1024 / 1024).toFixed(2)} MB`;
+	const values = {
+		title: data.title || t(language, 'notifications.unknownAddon'),
+		id,
+		creator: creatorName || t(language, 'notifications.unknownCreator'),
+		changelog: summarizeChangeNotes(changeNotes, 1000, language),
+		size,
+		url,
+	};
+
+	const fields = {
+		title: { name: t(language, 'notifications.fields.title'), value: values.title, inline: true },
+		lastUpdated: { name: t(language, 'notifications.fields.lastUpdated'), value: formatDateTime(lastUpdated), inline: true },
+		created: { name: t(language, 'notifications.fields.created'), value: formatDateTime(data.time_created), inline: true },
+		visibility: { name: t(language, 'notifications.fields.visibility'), value: formatVisibility(language, data.visibility), inline: true },
+		size: { name: t(language, 'notifications.fields.size'), value: size, inline: true },
+		subscriptions: { name: t(language, 'notifications.fields.subscriptions'), value: (data.subscriptions || 0).toLocaleString(language), inline: true },
+		changelog: changeNotes.length > 0 ? { name: t(language, 'notifications.fields.changelog'), value: formatChangeNotes(changeNotes, 1024), inline: false } : null,
+		url: { name: t(language, 'notifications.fields.addonUrl'), value: url, inline: false },
+	};
+
+	return new EmbedBuilder()
+		.setTitle(truncate(renderTemplate(template.title, values), 256))
+		.setDescription(truncate(renderTemplate(template.description, values), 4096) || null)
+		.setColor(template.color)
+		.setThumbnail(data.preview_url || 'https://cdn.discordapp.com/embed/avatars/0.png')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setURL(url)
+		.addFields(template.fields.map(field => fields[field]).filter(Boolean))
+		.setTimestamp();
+}
+
+/**
+ * Builds the embed posted when items inside a watched collection have changed, following the guild's template.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param id
+ * @param data
+ * @param lastUpdated
+ * @param changes - The updated, added and removed child items.
+ * @param template - The guild's collection update template.
+ * @param [creatorName] - The Steam name of the collection's creator.
+ * @param [itemCount] - The number of items in the collection.
+ * @returns {EmbedBuilder}
+ */
+function buildCollectionUpdateEmbed(client, language, id, data, lastUpdated, changes, template, creatorName = null, itemCount = 0) {
+	const formatChild = child => `[${child.title || t(language, 'notifications.unknownItem')}](https://steamcommunity.com/sharedfiles/filedetails/?id=${child.id}) (${child.id})`;
+	const url = `https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`;
+	const values = {
+		title: data.title || t(language, 'notifications.unknownCollection'),
+		id,
+		creator: creatorName || t(language, 'notifications.unknownCreator'),
+		changelog: t(language, 'notifications.collectionUpdate.changelog', {
+			updated: changes.updated.length,
+			added: changes.added.length,
+			removed: changes.removed.length,
+		}),
+		size: t(language, 'notifications.collectionUpdate.size', { count: itemCount }),
+		url,
+	};
+
+	const fields = {
+		title: [{ name: t(language, 'notifications.fields.title'), value: values.title, inline: true }],
+		lastUpdated: [{ name: t(language, 'notifications.fields.lastUpdated'), value: formatDateTime(lastUpdated), inline: true }],
+		created: [{ name: t(language, 'notifications.fields.created'), value: formatDateTime(data.time_created), inline: true }],
+		changes: [
+			['updatedItems', changes.updated],
+			['addedItems', changes.added],
+			['removedItems', changes.removed],
+		]
+			.filter(([, children]) => children.length > 0)
+			.map(([key, children]) => ({
+				name: t(language, `notifications.fields.${key}`, { count: children.length }),
+				value: formatList(children.map(formatChild), 1024, language),
+				inline: false,
+			})),
+		url: [{ name: t(language, 'notifications.fields.collectionUrl'), value: url, inline: false }],
+	};
+
+	return new EmbedBuilder()
+		.setTitle(truncate(renderTemplate(template.title, values), 256))
+		.setDescription(truncate(renderTemplate(template.description, values), 4096) || null)
+		.setColor(template.color)
+		.setThumbnail(data.preview_url || data.file_url || 'https://cdn.discordapp.com/embed/avatars/0.png')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setURL(url)
+		.addFields(template.fields.flatMap(field => fields[field] || []))
+		.setTimestamp();
+}
+
+/**
+ * Formats an item's visibility for display.
+ *
+ * @param language
+ * @param visibility
+ * @returns {string}
+ */
+function formatVisibility(language, visibility) {
+	const key = visibility === 0 ? 'public' : visibility === 1 ? 'friendsOnly' : 'private';
+	return t(language, `notifications.visibility.${key}`);
+}
+
+/**
+ * Formats a metadata snapshot value for display in a metadata change embed.
+ *
+ * @param language
+ * @param category
+ * @param value
+ * @returns {string}
+ */
+function formatMetadataValue(language, category, value) {
+	if (category === 'visibility') return formatVisibility(language, value);
+	if (category === 'tags') return value.length > 0 ? value.map(tag => `\`${truncate(tag, 20)}\``).join(', ') : t(language, 'notifications.none');
+
+	return value ? truncate(value, 450) : t(language, 'notifications.none');
+}
+
+/**
+ * Builds the embed posted when the metadata of a watched item has changed.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param id
+ * @param data
+ * @param changes - The changed metadata categories with their old and new values.
+ * @returns {EmbedBuilder}
+ */
+function buildMetadataChangeEmbed(client, language, id, data, changes) {
+	const embedData = new EmbedBuilder()
+		.setTitle(t(language, 'notifications.metadata.title'))
+		.setDescription(t(language, 'notifications.metadata.description', { title: data.title || t(language, 'notifications.unknownItem'), id }))
+		.setColor('#3C3C3C')
+		.setThumbnail(data.preview_url || 'https://cdn.discordapp.com/embed/avatars/0.png')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
+		.setTimestamp();
+
+	for (const change of changes) {
+		embedData.addFields({
+			name: t(language, `notifications.categories.${change.category}`),
+			value: t(language, 'notifications.metadata.change', {
+				before: formatMetadataValue(language, change.category, change.before),
+				after: formatMetadataValue(language, change.category, change.after),
+			}),
+			inline: false,
+		});
+	}
+
+	if (changes.some(change => change.category === 'preview') && data.preview_url) {
+		embedData.setImage(data.preview_url);
+	}
+
+	return embedData;
+}
+
+/**
+ * Builds the embed posted when a watched item becomes unavailable or available again.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param id
+ * @param title - The item's last known title.
+ * @param previousState
+ * @param state
+ * @param [previewUrl] - The item's last known preview image.
+ * @returns {EmbedBuilder}
+ */
+function buildLifecycleEmbed(client, language, id, title, previousState, state, previewUrl = null) {
+	const available = state === 'available';
+	const variables = { title: title || t(language, 'notifications.unknownItem'), id };
+
+	const embedData = new EmbedBuilder()
+		.setTitle(t(language, available ? 'notifications.lifecycle.availableTitle' : 'notifications.lifecycle.unavailableTitle'))
+		.setDescription(t(language, available ? 'notifications.lifecycle.availableDescription' : 'notifications.lifecycle.unavailableDescription', variables))
+		.setColor(available ? '#00FF00' : '#FF0000')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
+		.addFields(
+			{ name: t(language, 'notifications.fields.previousState'), value: t(language, `notifications.states.${previousState}`), inline: true },
+			{ name: t(language, 'notifications.fields.currentState'), value: t(language, `notifications.states.${state}`), inline: true },
+		)
+		.setTimestamp();
+
+	if (previewUrl) {
+		embedData.setThumbnail(previewUrl);
+	}
+
+	return embedData;
+}
+
+/**
+ * Builds the embed posted when a watched item passes a subscriber milestone.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param id
+ * @param data
+ * @param milestone
+ * @returns {EmbedBuilder}
+ */
+function buildMilestoneEmbed(client, language, id, data, milestone) {
+	return new EmbedBuilder()
+		.setTitle(t(language, 'notifications.milestone.title'))
+		.setDescription(t(language, 'notifications.milestone.description', {
+			title: data.title || t(language, 'notifications.unknownItem'),
+			id,
+			milestone: milestone.toLocaleString(language),
+		}))
+		.setColor('#FFD700')
+		.setThumbnail(data.preview_url || 'https://cdn.discordapp.com/embed/avatars/0.png')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setURL(`https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`)
+		.addFields(
+			{ name: t(language, 'notifications.fields.subscriptions'), value: (data.subscriptions || 0).toLocaleString(language), inline: true },
+			{ name: t(language, 'notifications.fields.favorites'), value: (data.favorited || 0).toLocaleString(language), inline: true },
+			{ name: t(language, 'notifications.fields.views'), value: (data.views || 0).toLocaleString(language), inline: true },
+		)
+		.setTimestamp();
+}
+
+/**
+ * Builds the consolidated summary posted to a channel when it missed many updates while the bot was offline.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param missedItems - The items with missed updates, each with its ID, data and missed changelog entries.
+ * @returns {EmbedBuilder}
+ */
+function buildCatchUpSummaryEmbed(client, language, missedItems) {
+	const totalUpdates = missedItems.reduce((total, item) => total + item.changeNotes.length, 0);
+
+	const lines = missedItems.map(({ id, data, changeNotes }) => {
+		const latestChange = changeNotes[changeNotes.length - 1];
+		const line = t(language, 'notifications.catchUp.line', { updates: changeNotes.length, latest: formatChangeDate(latestChange) });
+		return `**[${data.title || t(language, 'notifications.unknownAddon')}](https://steamcommunity.com/sharedfiles/filedetails/?id=${id})** (${id})\n-# ${line}`;
+	});
+
+	return new EmbedBuilder()
+		.setTitle(t(language, 'notifications.catchUp.title'))
+		.setDescription(`${t(language, 'notifications.catchUp.description', { updates: totalUpdates, items: missedItems.length })}\n\n${formatList(lines, 3800, language)}`)
+		.setColor('#3C3C3C')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setTimestamp();
+}
+
+/**
+ * Builds the digest embed listing every update queued for a channel during its digest period.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param digest
+ * @returns {EmbedBuilder}
+ */
+function buildDigestEmbed(client, language, digest) {
+	const items = new Map();
+
+	for (const entry of digest.entries) {
+		if (!items.has(entry.id)) items.set(entry.id, []);
+		items.get(entry.id).push(entry);
+	}
+
+	const lines = [...items.entries()].map(([id, entries]) => {
+		const latestEntry = entries[entries.length - 1];
+		const line = t(language, 'notifications.digest.line', { updates: entries.length });
+		return `**[${latestEntry.title || t(language, 'notifications.unknownItem')}](https://steamcommunity.com/sharedfiles/filedetails/?id=${id})** (${id}) - ${line}\n-# ${latestEntry.changeNote}`;
+	});
+
+	return new EmbedBuilder()
+		.setTitle(deliveryModes[digest.mode] ? t(language, `notifications.digest.${digest.mode}`) : t(language, 'notifications.digest.fallbackTitle'))
+		.setDescription(`${t(language, 'notifications.digest.description', { updates: digest.entries.length, items: items.size })}\n\n${formatList(lines, 3800, language)}`)
+		.setColor('#3C3C3C')
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setTimestamp();
+}
+
+/**
+ * Builds the stored snapshot of a collection's child items.
+ * Children that could not be fetched keep their previously stored values.
+ *
+ * @param childIds
+ * @param itemsData
+ * @param previousChildren
+ * @returns {Object} A map of child ID to its last known update time and title.
+ */
+function buildChildrenSnapshot(childIds, itemsData, previousChildren) {
+	const children = {};
+
+	for (const childId of childIds) {
+		const childData = itemsData.get(childId);
+
+		children[childId] = childData
+			? { timeUpdated: childData.time_updated || 0, title: childData.title || null }
+			: previousChildren?.[childId] || { timeUpdated: 0, title: null };
+	}
+
+	return children;
+}
+
+/**
+ * Compares two snapshots of a collection's child items.
+ *
+ * @param previousChildren
+ * @param children
+ * @returns {{updated: Array, added: Array, removed: Array}}
+ */
+function diffChildren(previousChildren, children) {
+	const changes = { updated: [], added: [], removed: [] };
+
+	for (const [childId, child] of Object.entries(children)) {
+		const previousChild = previousChildren[childId];
+
+		if (!previousChild) {
+			changes.added.push({ id: childId, ...child });
+		}
+		else if (child.timeUpdated > previousChild.timeUpdated) {
+			changes.updated.push({ id: childId, ...child });
+		}
+	}
+
+	for (const [childId, previousChild] of Object.entries(previousChildren)) {
+		if (!children[childId]) {
+			changes.removed.push({ id: childId, ...previousChild });
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Sends an update embed for a channel, following the channel's posting mode.
+ * Only the provided roles and users are allowed to be mentioned.
+ * Updates that fail to send are queued in the outbox so they are not lost.
+ *
+ * @param client
+ * @param target - The guild and channel, and optionally the subscription and item title, the update is for.
+ * @param embedData
+ * @param [mentions] - The roles and users to mention.
+ * @returns {Promise<{status: string, entryId: string, error: (string|null)}>} The delivery result.
+ */
+async function sendUpdate(client, target, embedData, mentions = null) {
+	return sendOrQueue(client, target, {
+		...buildMentionPayload(mentions),
+		embeds: [embedData],
+	});
+}
+
+/**
+ * Delivers a detected update to a subscription's channel.
+ * Channels using a digest delivery mode have the update queued for their next digest instead.
+ *
+ * @param client
+ * @param subscription
+ * @param embedData - The embed posted for immediate delivery.
+ * @param digestEntry - The update queued for digest delivery.
+ * @param [persona] - The creator persona to post as when webhook delivery is enabled.
+ * @returns {Promise<{status: string, entryId: (string|undefined), error: (string|null|undefined)}>} The delivery result.
+ */
+async function deliverUpdate(client, subscription, embedData, digestEntry, persona = null) {
+	const { guildId, channelId, type, id } = subscription;
+	const { deliveryMode, mentions } = getChannelSettings(guildId, channelId);
+
+	if (deliveryMode !== 'immediate' && deliveryModes[deliveryMode]) {
+		const entryId = queueDigestEntry(guildId, channelId, deliveryMode, { id, type, ...digestEntry });
+		return { status: 'digest', entryId };
+	}
+
+	return sendUpdate(client, { guildId, channelId, subscription, title: digestEntry.title, persona }, embedData, mergeMentions(mentions, subscription.mentions));
+}
+
+/**
+ * Posts every digest whose period has ended and clears its queue.
+ * The logged deliveries of the digest's updates are given the result of posting it.
+ * Digests of channels that cannot be found are kept until the channel comes back,
+ * or until its suspended subscriptions are purged.
+ *
+ * @param client
+ * @returns {Promise<void>}
+ */
+async function sendDueDigests(client) {
+	for (const digest of getDueDigests(Date.now())) {
+		if (digest.entries.length > 0) {
+			if (!client.channels.cache.has(digest.channelId)) continue;
+
+			const { mentions } = getChannelSettings(digest.guildId, digest.channelId);
+			const delivery = await sendUpdate(client, { guildId: digest.guildId, channelId: digest.channelId }, buildDigestEmbed(client, getGuildLanguage(digest.guildId), digest), mentions);
+			setDigestDeliveryStatus(digest.entries.map(entry => entry.entryId).filter(Boolean), delivery);
+		}
+
+		clearDigest(digest.channelId);
+	}
+}
+
+/**
+ * Checks whether an addon has been updated since its subscription last posted an update.
+ *
+ * @param subscription
+ * @param data
+ * @returns {boolean}
+ */
+function hasAddonUpdate(subscription, data) {
+	const { lastUpdated } = subscription;
+	const addonUpdateTime = data.time_updated || 0;
+
+	return !!lastUpdated && addonUpdateTime > lastUpdated && Date.now() - lastUpdated >= 300000;
+}
+
+/**
+ * Checks a single addon subscription for updates and notifies its channel.
+ *
+ * @param client
+ * @param subscription
+ * @param data
+ * @param cycleCache
+ * @returns {Promise<void>}
+ */
+async function checkAddonSubscription(client, subscription, data, cycleCache) {
+	const { guildId, channelId, type, id, lastUpdated } = subscription;
+
+	if (!lastUpdated) {
+		setNotificationLastUpdated(guildId, channelId, type, id, data.time_updated);
+		return;
+	}
+
+	if (hasAddonUpdate(subscription, data)) {
+		setNotificationLastUpdated(guildId, channelId, type, id, data.time_updated);
+
+		const changelog = await getCachedChangelog(cycleCache, id);
+		let changeNotes = getChangeNotesSince(changelog, lastUpdated);
+		if (changeNotes.length === 0 && changelog.length > 0 && !changelog[0].timestamp) {
+			changeNotes = [changelog[0]];
+		}
+
+		const steamId64 = data.creator || '0';
+		const accountDetails = await getCachedAccountDetails(cycleCache, steamId64);
+
+		const template = getTemplate(guildId, type);
+		const updateEmbedData = buildAddonUpdateEmbed(client, getGuildLanguage(guildId), id, data, lastUpdated, changeNotes, template, accountDetails?.personaname);
+		setCreatorAuthor(updateEmbedData, accountDetails, steamId64);
+
+		const delivery = await deliverUpdate(client, subscription, updateEmbedData, {
+			title: data.title,
+			changeNote: summarizeChangeNotes(changeNotes, 150, getGuildLanguage(guildId)),
+		}, getCreatorPersona(accountDetails));
+
+		logUpdateEvent(guildId, {
+			type,
+			itemId: id,
+			title: data.title,
+			previousTimeUpdated: lastUpdated,
+			timeUpdated: data.time_updated,
+			source: 'update-check',
+		}, { channelId, ...delivery });
+	}
+}
+
+/**
+ * Checks a single collection subscription for child item updates and membership changes,
+ * and notifies its channel of any changes.
+ *
+ * @param client
+ * @param subscription
+ * @param data
+ * @param childIds
+ * @param itemsData
+ * @param cycleCache
+ * @returns {Promise<void>}
+ */
+async function checkCollectionSubscription(client, subscription, data, childIds, itemsData, cycleCache) {
+	const { guildId, channelId, type, id, lastUpdated } = subscription;
+
+	const children = buildChildrenSnapshot(childIds, itemsData, subscription.children);
+	const latestUpdate = Math.max(data.time_updated || 0, ...Object.values(children).map(child => child.timeUpdated));
+
+	updateNotification(guildId, channelId, type, id, { children, lastUpdated: latestUpdate });
+
+	if (!lastUpdated || !subscription.children) return;
+
+	const changes = diffChildren(subscription.children, children);
+	if (changes.updated.length === 0 && changes.added.length === 0 && changes.removed.length === 0) return;
+
+	const steamId64 = data.creator || '0';
+	const accountDetails = await getCachedAccountDetails(cycleCache, steamId64);
+
+	const language = getGuildLanguage(guildId);
+	const template = getTemplate(guildId, type);
+	const updateEmbedData = buildCollectionUpdateEmbed(client, language, id, data, lastUpdated, changes, template, accountDetails?.personaname, childIds.length);
+	setCreatorAuthor(updateEmbedData, accountDetails, steamId64);
+
+	const delivery = await deliverUpdate(client, subscription, updateEmbedData, {
+		title: data.title,
+		changeNote: t(language, 'notifications.collectionUpdate.changelog', {
+			updated: changes.updated.length,
+			added: changes.added.length,
+			removed: changes.removed.length,
+		}),
+	}, getCreatorPersona(accountDetails));
+
+	logUpdateEvent(guildId, {
+		type,
+		itemId: id,
+		title: data.title,
+		previousTimeUpdated: lastUpdated,
+		timeUpdated: latestUpdate,
+		source: 'update-check',
+	}, { channelId, ...delivery });
+}
+
+/**
+ * Stores the current state of a subscription's item and notifies its channel once
+ * when the item becomes unavailable or comes back.
+ *
+ * @param client
+ * @param subscription
+ * @param state
+ * @returns {Promise<boolean>} Whether the item's state changed.
+ */
+async function checkLifecycle(client, subscription, state) {
+	const { guildId, channelId, type, id } = subscription;
+	const previousState = subscription.state || 'available';
+
+	if (state === previousState) return false;
+
+	updateNotification(guildId, channelId, type, id, { state });
+	console.log(`Info | Item ${id} in Guild: ${guildId}, Channel: ${channelId} changed state from ${previousState} to ${state}.`);
+
+	// Unavailable items no longer return their metadata, so the last known title and preview are used.
+	const cachedItem = getCachedItem(id);
+	const title = cachedItem?.title || subscription.snapshot?.title;
+	await sendUpdate(client, { guildId, channelId, subscription, title }, buildLifecycleEmbed(client, getGuildLanguage(guildId), id, title, previousState, state, cachedItem?.previewUrl));
+	return true;
+}
+
+/**
+ * Compares a subscription's stored metadata snapshot against freshly fetched data,
+ * stores the new snapshot and notifies its channel of changes in the categories it follows.
+ *
+ * @param client
+ * @param subscription
+ * @param data
+ * @param cycleCache
+ * @param ignoredCategories - Categories that should not be announced this cycle.
+ * @returns {Promise<void>}
+ */
+async function checkMetadataChanges(client, subscription, data, cycleCache, ignoredCategories = []) {
+	const { guildId, channelId, type, id } = subscription;
+
+	const snapshot = buildSnapshot(data);
+	updateNotification(guildId, channelId, type, id, { snapshot });
+
+	if (!subscription.snapshot) return;
+
+	const { metadataCategories: followedCategories } = getChannelSettings(guildId, channelId);
+	const changes = diffSnapshots(subscription.snapshot, snapshot)
+		.filter(change => followedCategories.includes(change.category) && !ignoredCategories.includes(change.category));
+
+	if (changes.length === 0) return;
+
+	const steamId64 = data.creator || '0';
+	const accountDetails = await getCachedAccountDetails(cycleCache, steamId64);
+
+	const metadataEmbedData = buildMetadataChangeEmbed(client, getGuildLanguage(guildId), id, data, changes);
+	setCreatorAuthor(metadataEmbedData, accountDetails, steamId64);
+
+	await sendUpdate(client, { guildId, channelId, subscription, title: data.title, persona: getCreatorPersona(accountDetails) }, metadataEmbedData);
+}
+
+/**
+ * Announces the highest subscriber milestone a subscription's item has newly passed.
+ * Milestones already passed when announcements were enabled are recorded without being announced,
+ * so each milestone is only ever posted once.
+ *
+ * @param client
+ * @param subscription
+ * @param data
+ * @param cycleCache
+ * @returns {Promise<void>}
+ */
+async function checkMilestones(client, subscription, data, cycleCache) {
+	const { guildId, channelId, type, id, milestones } = subscription;
+
+	if (!milestones) return;
+
+	const reachedMilestone = getReachedMilestone(data.subscriptions || 0, milestones.thresholds);
+
+	if (milestones.lastAnnounced === undefined || milestones.lastAnnounced === null) {
+		updateNotification(guildId, channelId, type, id, { milestones: { ...milestones, lastAnnounced: reachedMilestone } });
+		return;
+	}
+
+	if (reachedMilestone <= milestones.lastAnnounced) return;
+
+	updateNotification(guildId, channelId, type, id, { milestones: { ...milestones, lastAnnounced: reachedMilestone } });
+
+	const steamId64 = data.creator || '0';
+	const accountDetails = await getCachedAccountDetails(cycleCache, steamId64);
+
+	const milestoneEmbedData = buildMilestoneEmbed(client, getGuildLanguage(guildId), id, data, reachedMilestone);
+	setCreatorAuthor(milestoneEmbedData, accountDetails, steamId64);
+
+	await sendUpdate(client, { guildId, channelId, subscription, title: data.title, persona: getCreatorPersona(accountDetails) }, milestoneEmbedData);
+}
+
+/**
+ * Logs an update found by the catch-up, covering every change missed since the subscription's last known update.
+ *
+ * @param subscription
+ * @param data
+ * @param delivery - The result of delivering the missed changes to the subscription's channel.
+ */
+function logCatchUpEvent(subscription, data, delivery) {
+	logUpdateEvent(subscription.guildId, {
+		type: subscription.type,
+		itemId: subscription.id,
+		title: data.title,
+		previousTimeUpdated: subscription.lastUpdated,
+		timeUpdated: data.time_updated,
+		source: 'catch-up',
+	}, { channelId: subscription.channelId, ...delivery });
+}
+
+/**
+ * Posts the updates that were missed while the bot was offline.
+ * Each addon subscription's stored last update time is compared against its changelog.
+ * Channels with only a few missed updates get every update posted in order,
+ * while channels with many get a single consolidated summary.
+ * Addons without usable changelog timestamps are left for the regular update check.
+ *
+ * @param client
+ * @returns {Promise<{itemCount: number}>} The number of unique items checked.
+ */
+async function runCatchUp(client) {
+	await checkMissingChannels(client);
+
+	const subscriptions = collectSubscriptions(client)
+		.filter(subscription => subscription.type === 'addon-update' && subscription.lastUpdated);
+
+	if (subscriptions.length === 0) return { itemCount: 0 };
+
+	const itemsResult = await getPublishedFileDetails(subscriptions.map(subscription => subscription.id));
+	if (!itemsResult.ok) {
+		console.error(`Error | Failed to fetch some workshop item data for catch-up: ${itemsResult.error.message}`);
+	}
+
+	const itemsResults = itemsResult.data;
+	const cycleCache = { accountDetails: new Map(), changelogs: new Map() };
+	const missedByChannel = new Map();
+
+	for (const subscription of subscriptions) {
+		const { guildId, channelId, type, id, lastUpdated } = subscription;
+		const data = itemsResults.get(id);
+
+		if (!data || !isValidItemDetails(data) || !(data.time_updated > lastUpdated)) continue;
+
+		const changelog = await getCachedChangelog(cycleCache, id);
+		const changeNotes = getChangeNotesSince(changelog, lastUpdated).reverse();
+
+		if (changeNotes.length === 0) continue;
+
+		setNotificationLastUpdated(guildId, channelId, type, id, data.time_updated);
+
+		const { deliveryMode, mentions } = getChannelSettings(guildId, channelId);
+		if (deliveryMode !== 'immediate' && deliveryModes[deliveryMode]) {
+			let entryId;
+			for (const change of changeNotes) {
+				entryId = queueDigestEntry(guildId, channelId, deliveryMode, { id, type, title: data.title, changeNote: summarizeChangeNotes([change], 150, getGuildLanguage(guildId)) }, entryId);
+			}
+			logCatchUpEvent(subscription, data, { status: 'digest', entryId });
+			continue;
+		}
+
+		if (!missedByChannel.has(channelId)) missedByChannel.set(channelId, []);
+		missedByChannel.get(channelId).push({ subscription, id, data, lastUpdated, changeNotes, mentions: mergeMentions(mentions, subscription.mentions) });
+	}
+
+	for (const [channelId, missedItems] of missedByChannel) {
+		const totalUpdates = missedItems.reduce((total, item) => total + item.changeNotes.length, 0);
+
+		if (totalUpdates > catchUpEmbedLimit) {
+			const { guildId } = missedItems[0].subscription;
+			const delivery = await sendUpdate(client, { guildId, channelId }, buildCatchUpSummaryEmbed(client, getGuildLanguage(guildId), missedItems), mergeMentions(...missedItems.map(item => item.mentions)));
+
+			for (const { subscription, data } of missedItems) {
+				logCatchUpEvent(subscription, data, delivery);
+			}
+			continue;
+		}
+
+		for (const { subscription, id, data, lastUpdated, changeNotes, mentions } of missedItems) {
+			const steamId64 = data.creator || '0';
+			const accountDetails = await getCachedAccountDetails(cycleCache, steamId64);
+
+			const template = getTemplate(subscription.guildId, subscription.type);
+
+			let previousUpdate = lastUpdated;
+			let delivery = null;
+			for (const change of changeNotes) {
+				const updateEmbedData = buildAddonUpdateEmbed(client, getGuildLanguage(subscription.guildId), id, data, previousUpdate, [change], template, accountDetails?.personaname);
+				setCreatorAuthor(updateEmbedData, accountDetails, steamId64);
+
+				delivery = await sendUpdate(client, { guildId: subscription.guildId, channelId, subscription, title: data.title, persona: getCreatorPersona(accountDetails) }, updateEmbedData, mentions);
+				previousUpdate = change.timestamp;
+			}
+
+			logCatchUpEvent(subscription, data, delivery);
+		}
+	}
+
+	return { itemCount: itemsResults.size };
+}
+
+/**
+ * Runs a single update check across every guild the client is in.
+ * Every subscription across all guilds is gathered first so each unique item
+ * is only fetched once per cycle, then the results are sent out to every subscriber.
+ * Only items whose next check time has passed are fetched.
+ *
+ * @param client
+ * @returns {Promise<{itemCount: number}>} The number of unique items checked.
+ */
+async function runUpdateCheck(client) {
+	await checkMissingChannels(client);
+	await processOutbox(client);
+	await sendDueDigests(client);
+
+	const subscriptions = collectSubscriptions(client);
+
+	const now = Date.now();
+	const dueSubscriptions = subscriptions.filter(subscription => !subscription.nextCheck || subscription.nextCheck <= now);
+	const dueIds = new Set(dueSubscriptions.map(subscription => subscription.id));
+
+	if (dueIds.size === 0) return { itemCount: 0 };
+
+	const collectionIds = new Set(dueSubscriptions
+		.filter(subscription => subscription.type === 'collection-update')
+		.map(subscription => subscription.id));
+
+	// Items and collections that failed to fetch are left out of the results and checked again next cycle.
+	const collectionsResult = await getCollectionDetails([...collectionIds]);
+	if (!collectionsResult.ok) {
+		console.error(`Error | Failed to fetch some collection details for update check: ${collectionsResult.error.message}`);
+	}
+
+	const collectionsChildren = collectionsResult.data;
+	const childIds = [...collectionsChildren.values()].flat();
+
+	const itemsResult = await getPublishedFileDetails([...dueIds, ...childIds]);
+	if (!itemsResult.ok) {
+		console.error(`Error | Failed to fetch some workshop item data for update check: ${itemsResult.error.message}`);
+	}
+
+	const itemsResults = itemsResult.data;
+
+	const itemsData = new Map([...itemsResults].filter(([, fileDetails]) => isValidItemDetails(fileDetails)));
+	touchCachedItems([...dueIds].filter(id => itemsResults.has(id) && !itemsData.has(id)));
+	cacheItemDetails([...dueIds].filter(id => itemsData.has(id)).map(id => itemsData.get(id)));
+
+	const cycleCache = { accountDetails: new Map(), changelogs: new Map() };
+
+	for (const subscription of dueSubscriptions) {
+		const { guildId: searchGuildId, channelId, type, id } = subscription;
+
+		try {
+			const result = itemsResults.get(id);
+			if (!result) continue;
+
+			const state = getItemState(result);
+			const stateChanged = await checkLifecycle(client, subscription, state);
+
+			if (state !== 'available') {
+				updateNotification(searchGuildId, channelId, type, id, { nextCheck: Date.now() + getUnavailablePollDelay(state) });
+				continue;
+			}
+
+			const data = itemsData.get(id);
+			const childUpdateTimes = (collectionsChildren.get(id) || []).map(childId => itemsData.get(childId)?.time_updated || 0);
+
+			// The change notes of an updated addon are fetched once here, so their times also count towards its schedule.
+			const changelogTimes = type === 'addon-update' && hasAddonUpdate(subscription, data)
+				? (await getCachedChangelog(cycleCache, id)).map(change => change.timestamp)
+				: [];
+
+			const newUpdateTimes = recordUpdateTimes(subscription.updateTimes, data.time_updated, ...childUpdateTimes, ...changelogTimes);
+			const latestUpdate = Math.max(data.time_updated || 0, ...childUpdateTimes);
+
+			updateNotification(searchGuildId, channelId, type, id, {
+				updateTimes: newUpdateTimes,
+				nextCheck: getNextCheckTime(latestUpdate, newUpdateTimes),
+			});
+
+			if (type === 'addon-update') {
+				await checkAddonSubscription(client, subscription, data, cycleCache);
+			}
+			else if (type === 'collection-update') {
+				if (!collectionsChildren.has(id)) {
+					console.warn(`Error | No collection details found for ID: ${id} in Guild: ${searchGuildId}, Channel: ${channelId}`);
+					continue;
+				}
+
+				await checkCollectionSubscription(client, subscription, data, collectionsChildren.get(id), itemsData, cycleCache);
+			}
+
+			await checkMetadataChanges(client, subscription, data, cycleCache, stateChanged ? ['visibility'] : []);
+			await checkMilestones(client, subscription, data, cycleCache);
+		}
+		catch (error) {
+			console.error(`Error | Error fetching data for ID: ${id} in Guild: ${searchGuildId}, Channel: ${channelId}, Type: ${type}`, error);
+		}
+	}
+
+	return { itemCount: itemsResults.size };
+}
+
+module.exports = {
+	buildAddonUpdateEmbed,
+	buildCollectionUpdateEmbed,
+	runUpdateCheck,
+	runCatchUp,
+};
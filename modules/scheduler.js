@@ -0,0 +1,130 @@
+/**
+ * @file scheduler.js
+ * A small non-overlapping task scheduler.
+ *
+ * The next run is only scheduled once the current one has finished, so a slow
+ * async task can never overlap with itself. Each run is delayed by the configured
+ * interval plus a random jitter, and the duration and item count of every run is recorded.
+ */
+
+const maxRecordedRuns = 50;
+
+/**
+ * Creates a scheduler for the provided task.
+ * The task may return an object containing an `itemCount` property,
+ * which is recorded alongside the run duration.
+ *
+ * @param {Function} task - The async task to run.
+ * @param {Object} options
+ * @param {string} [options.name] - A name used when logging run statistics.
+ * @param {number} options.interval - The delay between runs in milliseconds.
+ * @param {number} [options.jitter] - The maximum random delay added to each interval in milliseconds.
+ * @returns {{start: Function, stop: Function, isRunning: Function, getStats: Function}}
+ */
+function createScheduler(task, { name = 'Task', interval, jitter = 0 }) {
+	const runs = [];
+
+	let timer = null;
+	let running = false;
+	let stopped = true;
+
+	/**
+	 * Schedules the next run after the interval plus a random jitter.
+	 * Nothing is scheduled if a run is already pending, such as when the scheduler
+	 * was restarted while a run was still in progress.
+	 */
+	function scheduleNext() {
+		if (stopped || timer) return;
+
+		const delay = interval + Math.floor(Math.random() * (jitter + 1));
+		timer = setTimeout(run, delay);
+	}
+
+	/**
+	 * Runs the task once, records its statistics and schedules the next run.
+	 */
+	async function run() {
+		timer = null;
+
+		if (running) {
+			console.warn(`Warning | ${name} is still running, skipping this cycle.`);
+			scheduleNext();
+			return;
+		}
+
+		running = true;
+		const startedAt = Date.now();
+		let itemCount = 0;
+
+		try {
+			const result = await task();
+			itemCount = result?.itemCount ?? 0;
+		}
+		catch (error) {
+			console.error(`Error | ${name} failed:`, error);
+		}
+
+		const duration = Date.now() - startedAt;
+		running = false;
+
+		runs.push({ startedAt, duration, itemCount });
+		if (runs.length > maxRecordedRuns) runs.shift();
+
+		console.log(`Info | ${name} completed in ${duration}ms (${itemCount} item(s)).`);
+
+		if (duration > interval) {
+			console.warn(`Warning | ${name} took ${duration}ms, which is longer than its ${interval}ms interval. Consider increasing the interval.`);
+		}
+
+		scheduleNext();
+	}
+
+	return {
+		/**
+		 * Starts the scheduler. The first run happens after one interval.
+		 */
+		start() {
+			if (!stopped) return;
+			stopped = false;
+			scheduleNext();
+		},
+
+		/**
+		 * Stops the scheduler. A run that is already in progress is allowed to finish.
+		 */
+		stop() {
+			stopped = true;
+			if (timer) {
+				clearTimeout(timer);
+				timer = null;
+			}
+		},
+
+		/**
+		 * @returns {boolean} Whether a run is currently in progress.
+		 */
+		isRunning() {
+			return running;
+		},
+
+		/**
+		 * Gets statistics about the recorded runs.
+		 *
+		 * @returns {{runs: Array, averageDuration: number, averageItemCount: number, lastRun: (Object|null)}}
+		 */
+		getStats() {
+			const total = runs.length;
+
+			return {
+				runs: [...runs],
+				averageDuration: total ? Math.round(runs.reduce((sum, r) => sum + r.duration, 0) / total) : 0,
+				averageItemCount: total ? Math.round(runs.reduce((sum, r) => sum + r.itemCount, 0) / total) : 0,
+				lastRun: total ? runs[total - 1] : null,
+			};
+		},
+	};
+}
+
+module.exports = {
+	createScheduler,
+};
@@ -0,0 +1,148 @@
+/**
+ * @file settings.js
+ * Stores per-guild and per-channel settings in the settings JSON file.
+ *
+ * Settings are stored as `{ [guildId]: { guild: {}, channels: { [channelId]: {} } } }`
+ * and are always returned merged over their defaults.
+ */
+
+const { getDataStore } = require('./data-store');
+const { metadataCategories } = require('./snapshot');
+
+const settingsStore = getDataStore('settings.json');
+
+const defaultGuildSettings = {
+	logChannelId: null,
+	suspensionGraceDays: 7,
+	language: 'en',
+};
+
+const defaultChannelSettings = {
+	metadataCategories: Object.keys(metadataCategories),
+	deliveryMode: 'immediate',
+	mentions: { roles: [], users: [] },
+	postMode: 'channel',
+	forumChannelId: null,
+	forumSummaryThreadId: null,
+	webhookDelivery: false,
+};
+
+/**
+ * Gets the settings of a guild.
+ *
+ * @param guildId
+ * @returns {Object}
+ */
+function getGuildSettings(guildId) {
+	const data = settingsStore.read();
+	return { ...defaultGuildSettings, ...data[guildId]?.guild };
+}
+
+/**
+ * Sets a single setting for a guild.
+ *
+ * @param guildId
+ * @param key
+ * @param value
+ * @returns {Object} The guild's updated settings.
+ */
+function setGuildSetting(guildId, key, value) {
+	const data = settingsStore.read();
+
+	if (!data[guildId]) {
+		data[guildId] = { guild: {}, channels: {} };
+	}
+
+	data[guildId].guild = { ...data[guildId].guild, [key]: value };
+	settingsStore.save();
+
+	return { ...defaultGuildSettings, ...data[guildId].guild };
+}
+
+/**
+ * Gets the settings of a channel in a guild.
+ *
+ * @param guildId
+ * @param channelId
+ * @returns {Object}
+ */
+function getChannelSettings(guildId, channelId) {
+	const data = settingsStore.read();
+	return { ...defaultChannelSettings, ...data[guildId]?.channels?.[channelId] };
+}
+
+/**
+ * Sets a single setting for a channel in a guild.
+ *
+ * @param guildId
+ * @param channelId
+ * @param key
+ * @param value
+ * @returns {Object} The channel's updated settings.
+ */
+function setChannelSetting(guildId, channelId, key, value) {
+	const data = settingsStore.read();
+
+	if (!data[guildId]) {
+		data[guildId] = { guild: {}, channels: {} };
+	}
+
+	data[guildId].channels[channelId] = { ...data[guildId].channels[channelId], [key]: value };
+	settingsStore.save();
+
+	return { ...defaultChannelSettings, ...data[guildId].channels[channelId] };
+}
+
+/**
+ * Removes the settings of a channel in a guild, such as once the channel has been deleted.
+ *
+ * @param guildId
+ * @param channelId
+ * @returns {boolean} Whether the channel had any settings.
+ */
+function removeChannelSettings(guildId, channelId) {
+	const data = settingsStore.read();
+
+	if (!data[guildId]?.channels?.[channelId]) {
+		return false;
+	}
+
+	delete data[guildId].channels[channelId];
+	settingsStore.save();
+	return true;
+}
+
+/**
+ * Moves the settings of a channel to another channel in the same guild, such as when its subscriptions are reassigned.
+ * A target channel with settings of its own keeps them. The forum summary thread belongs to the old channel and is not moved.
+ *
+ * @param guildId
+ * @param fromChannelId
+ * @param toChannelId
+ * @returns {boolean} Whether the old channel had any settings.
+ */
+function moveChannelSettings(guildId, fromChannelId, toChannelId) {
+	const data = settingsStore.read();
+	const settings = data[guildId]?.channels?.[fromChannelId];
+
+	if (!settings) {
+		return false;
+	}
+
+	if (!data[guildId].channels[toChannelId]) {
+		data[guildId].channels[toChannelId] = { ...settings, forumSummaryThreadId: null };
+	}
+
+	delete data[guildId].channels[fromChannelId];
+	settingsStore.save();
+	return true;
+}
+
+module.exports = {
+	getGuildSettings,
+	setGuildSetting,
+	getChannelSettings,
+	setChannelSetting,
+	removeChannelSettings,
+	moveChannelSettings,
+};
@@ -0,0 +1,56 @@
+/**
+ * @file snapshot.js
+ * Builds and compares snapshots of the key metadata fields of a workshop item,
+ * so changes such as renames, tag edits or visibility switches can be announced.
+ */
+
+const metadataCategories = {
+	title: 'Title',
+	description: 'Description',
+	tags: 'Tags',
+	visibility: 'Visibility',
+	preview: 'Preview Image',
+};
+
+/**
+ * Builds a metadata snapshot from published file details.
+ *
+ * @param data
+ * @returns {{title: string, description: string, tags: string[], visibility: number, preview: string}}
+ */
+function buildSnapshot(data) {
+	return {
+		title: data.title || '',
+		description: data.description || '',
+		tags: (data.tags || []).map(tag => tag.tag).sort(),
+		visibility: data.visibility ?? null,
+		preview: data.preview_url || '',
+	};
+}
+
+/**
+ * Compares two metadata snapshots.
+ *
+ * @param before
+ * @param after
+ * @returns {Array<{category: string, before: *, after: *}>} The changed categories with their old and new values.
+ */
+function diffSnapshots(before, after) {
+	const changes = [];
+
+	for (const category of Object.keys(metadataCategories)) {
+		if (!(category in before)) continue;
+
+		if (JSON.stringify(before[category]) !== JSON.stringify(after[category])) {
+			changes.push({ category, before: before[category], after: after[category] });
+		}
+	}
+
+	return changes;
+}
+
+module.exports = {
+	metadataCategories,
+	buildSnapshot,
+	diffSnapshots,
+};
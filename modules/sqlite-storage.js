@@ -0,0 +1,226 @@
+/**
+ * @file sqlite-storage.js
+ * The SQLite storage backend for notification subscriptions.
+ *
+ * Each subscription is a row keyed by guild, channel, type and item ID, so a change only
+ * touches its own row instead of rewriting every subscription. The type, ID and last update
+ * time have their own columns; the remaining per-subscription state (snapshot, schedule,
+ * mentions and so on) is kept as JSON in the `data` column.
+ * Rows are returned in insertion order, matching the order of the JSON backend.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const schema = `
+	CREATE TABLE IF NOT EXISTS notifications (
+		row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+		guild_id TEXT NOT NULL,
+		channel_id TEXT NOT NULL,
+		type TEXT NOT NULL,
+		item_id TEXT NOT NULL,
+		last_updated INTEGER,
+		data TEXT NOT NULL DEFAULT '{}',
+		UNIQUE (guild_id, channel_id, type, item_id)
+	);
+	CREATE INDEX IF NOT EXISTS notifications_guild_channel ON notifications (guild_id, channel_id);
+	CREATE INDEX IF NOT EXISTS notifications_item ON notifications (type, item_id);
+`;
+
+/**
+ * Converts a subscription row to the entry shape used by the rest of the bot.
+ *
+ * @param row
+ * @returns {Object}
+ */
+function rowToEntry(row) {
+	const entry = { type: row.type, id: row.item_id };
+
+	if (row.last_updated !== null) {
+		entry.lastUpdated = row.last_updated;
+	}
+
+	return { ...entry, ...JSON.parse(row.data) };
+}
+
+/**
+ * Splits an entry's fields into the columns of a subscription row.
+ *
+ * @param entry
+ * @returns {{lastUpdated: (number|null), data: string}}
+ */
+function entryToColumns(entry) {
+	const data = { ...entry };
+
+	// The type, ID and last update time are stored in their own columns.
+	delete data.type;
+	delete data.id;
+	delete data.lastUpdated;
+
+	return { lastUpdated: entry.lastUpdated ?? null, data: JSON.stringify(data) };
+}
+
+/**
+ * Creates a storage backend that keeps the subscriptions in a SQLite database.
+ * The better-sqlite3 package is an optional dependency, and is only loaded when this backend is used.
+ *
+ * @param {string} filePath - The path of the database file.
+ * @returns {Object} The storage backend.
+ */
+function createSqliteStorage(filePath) {
+	let Database;
+
+	try {
+		Database = require('better-sqlite3');
+	}
+	catch (error) {
+		throw new Error(`The SQLite storage backend requires the better-sqlite3 package. Install it with \`npm install better-sqlite3\` or set STORAGE_BACKEND=json: ${error.message}`);
+	}
+
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+	const db = new Database(filePath);
+	db.pragma('journal_mode = WAL');
+	db.exec(schema);
+
+	const statements = {
+		select: db.prepare('SELECT * FROM notifications WHERE guild_id = ? AND channel_id = ? AND type = ? AND item_id = ?'),
+		selectAll: db.prepare('SELECT * FROM notifications ORDER BY row_id'),
+		selectGuild: db.prepare('SELECT * FROM notifications WHERE guild_id = ? ORDER BY row_id'),
+		selectChannel: db.prepare('SELECT * FROM notifications WHERE guild_id = ? AND channel_id = ? ORDER BY row_id'),
+		insert: db.prepare(`
+			INSERT OR IGNORE INTO notifications (guild_id, channel_id, type, item_id, last_updated, data)
+			VALUES (@guildId, @channelId, @type, @id, @lastUpdated, @data)
+		`),
+		update: db.prepare('UPDATE notifications SET last_updated = @lastUpdated, data = @data WHERE row_id = @rowId'),
+		delete: db.prepare('DELETE FROM notifications WHERE guild_id = ? AND channel_id = ? AND type = ? AND item_id = ?'),
+		deleteChannel: db.prepare('DELETE FROM notifications WHERE guild_id = ? AND channel_id = ?'),
+	};
+
+	/**
+	 * Groups subscription rows by guild and channel, as stored by the JSON backend.
+	 *
+	 * @param rows
+	 * @returns {Object}
+	 */
+	function groupByChannel(rows) {
+		const grouped = {};
+
+		for (const row of rows) {
+			grouped[row.channel_id] = grouped[row.channel_id] || [];
+			grouped[row.channel_id].push(rowToEntry(row));
+		}
+
+		return grouped;
+	}
+
+	/**
+	 * Inserts a subscription entry unless the channel already has it.
+	 *
+	 * @param guildId
+	 * @param channelId
+	 * @param entry
+	 * @returns {boolean} Whether the entry was inserted.
+	 */
+	function insertEntry(guildId, channelId, entry) {
+		const result = statements.insert.run({ guildId, channelId, type: entry.type, id: entry.id, ...entryToColumns(entry) });
+		return result.changes > 0;
+	}
+
+	const moveChannelNotifications = db.transaction((guildId, fromChannelId, toChannelId) => {
+		const moved = statements.selectChannel.all(guildId, fromChannelId)
+			.map(row => insertEntry(guildId, toChannelId, { ...rowToEntry(row), suspendedAt: null, threadId: null }))
+			.filter(inserted => inserted);
+
+		statements.deleteChannel.run(guildId, fromChannelId);
+		return moved.length;
+	});
+
+	const importNotifications = db.transaction(notifications => {
+		let importedCount = 0;
+
+		for (const [guildId, channels] of Object.entries(notifications)) {
+			for (const [channelId, entries] of Object.entries(channels)) {
+				for (const entry of entries) {
+					if (insertEntry(guildId, channelId, entry)) importedCount += 1;
+				}
+			}
+		}
+
+		return importedCount;
+	});
+
+	return {
+		name: 'sqlite',
+
+		isNotification(guildId, channelId, type, id) {
+			return !!statements.select.get(guildId, channelId, type, id);
+		},
+
+		addNotification(guildId, channelId, type, id) {
+			return insertEntry(guildId, channelId, { type, id });
+		},
+
+		removeNotification(guildId, channelId, type, id) {
+			return statements.delete.run(guildId, channelId, type, id).changes > 0;
+		},
+
+		removeAllNotifications(guildId, channelId) {
+			return statements.deleteChannel.run(guildId, channelId).changes > 0;
+		},
+
+		getAllNotifications() {
+			const data = {};
+
+			for (const row of statements.selectAll.all()) {
+				data[row.guild_id] = data[row.guild_id] || {};
+				data[row.guild_id][row.channel_id] = data[row.guild_id][row.channel_id] || [];
+				data[row.guild_id][row.channel_id].push(rowToEntry(row));
+			}
+
+			return data;
+		},
+
+		getGuildNotifications(guildId) {
+			return groupByChannel(statements.selectGuild.all(guildId));
+		},
+
+		getChannelNotifications(guildId, channelId) {
+			return statements.selectChannel.all(guildId, channelId).map(rowToEntry);
+		},
+
+		getNotificationLastUpdated(guildId, channelId, type, id) {
+			const row = statements.select.get(guildId, channelId, type, id);
+			return row ? row.last_updated : null;
+		},
+
+		setNotificationLastUpdated(guildId, channelId, type, id, timestamp) {
+			return this.updateNotification(guildId, channelId, type, id, { lastUpdated: timestamp });
+		},
+
+		updateNotification(guildId, channelId, type, id, fields) {
+			const row = statements.select.get(guildId, channelId, type, id);
+			if (!row) return false;
+
+			const entry = { ...rowToEntry(row), ...fields };
+			statements.update.run({ rowId: row.row_id, ...entryToColumns(entry) });
+			return true;
+		},
+
+		moveChannelNotifications,
+		importNotifications,
+
+		flush() {
+			// Every change is already committed, so this only folds the write-ahead log into the database file.
+			db.pragma('wal_checkpoint(TRUNCATE)');
+		},
+
+		close() {
+			db.close();
+		},
+	};
+}
+
+module.exports = {
+	createSqliteStorage,
+};
@@ -0,0 +1,355 @@
+/**
+ * @file steam.js
+ * The client used for every request to Steam.
+ *
+ * Requests share a rate limiter that spaces them out, time out if Steam does not answer,
+ * and are retried with exponential backoff on rate limits (429), server errors (5xx),
+ * timeouts and network errors.
+ *
+ * No method throws. Each one returns a result object, either `{ ok: true, data }` or
+ * `{ ok: false, error: { code, key, message, status } }`, where `code` is one of the keys of
+ * steamErrorMessages and `message` is the English text used in logs. Errors are shown to users
+ * in their language with formatSteamError.
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+const { t } = require('./i18n');
+
+const requestTimeout = 10 * 1000;
+const maxAttempts = 3;
+const retryBaseDelay = 1000;
+const maxRetryDelay = 30 * 1000;
+const minRequestInterval = 250;
+
+const steamItemBatchSize = 100;
+
+const steamErrorMessages = {
+	invalidInput: 'The provided ID is invalid.',
+	missingApiKey: 'STEAM_API_KEY is not set in the environment variables.',
+	timeout: 'The Steam API did not respond in time. Please try again later.',
+	network: 'Could not connect to the Steam API. Please try again later.',
+	rateLimited: 'The Steam API is limiting requests right now. Please try again later.',
+	http: 'Failed to fetch data from the Steam API.',
+	invalidResponse: 'The Steam API returned an invalid response.',
+	notFound: 'No details found for the provided ID or the ID is invalid.',
+};
+
+let nextRequestTime = 0;
+
+/**
+ * Builds a failed result.
+ *
+ * @param code - One of the keys of steamErrorMessages.
+ * @param {Object} [details]
+ * @param {string} [details.message] - A more specific message than the default one of the code.
+ * @param {number} [details.status] - The HTTP status of the response.
+ * @param {string} [details.key] - The `errors.steam` translation shown to users, if it differs from the code.
+ * @returns {{ok: false, error: {code: string, key: string, message: string, status: (number|null)}}}
+ */
+function steamError(code, { message = null, status = null, key = code } = {}) {
+	return { ok: false, error: { code, key, message: message || steamErrorMessages[code], status } };
+}
+
+/**
+ * Translates the error of a failed result for a user.
+ *
+ * @param locale
+ * @param error
+ * @returns {string}
+ */
+function formatSteamError(locale, error) {
+	return t(locale, `errors.steam.${error.key || error.code}`);
+}
+
+/**
+ * Waits until the rate limiter allows the next request.
+ * Each caller reserves its slot before waiting, so concurrent requests are spaced out too.
+ *
+ * @returns {Promise<void>}
+ */
+async function waitForRequestSlot() {
+	const now = Date.now();
+	const slot = Math.max(now, nextRequestTime);
+	nextRequestTime = slot + minRequestInterval;
+
+	if (slot > now) {
+		await sleep(slot - now);
+	}
+}
+
+/**
+ * Gets how long to wait before retrying a failed request.
+ * A Retry-After header sent with the response is respected.
+ *
+ * @param attempt - The number of the attempt that failed, starting at 1.
+ * @param [response]
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempt, response = null) {
+	const retryAfter = parseInt(response?.headers?.get('retry-after'), 10);
+
+	if (!Number.isNaN(retryAfter)) {
+		return Math.min(retryAfter * 1000, maxRetryDelay);
+	}
+
+	return Math.min(retryBaseDelay * 2 ** (attempt - 1), maxRetryDelay);
+}
+
+/**
+ * Sends a request to Steam, retrying it while it fails for a temporary reason.
+ *
+ * @param url
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object} [options.headers]
+ * @param {string} [options.body]
+ * @param {'json'|'text'} [options.responseType] - How the response body is read.
+ * @returns {Promise<Object>} A result with the parsed response body as `data`.
+ */
+async function requestSteam(url, { method = 'GET', headers = {}, body = undefined, responseType = 'json' } = {}) {
+	// Only the path is logged, as the query may contain the API key.
+	const endpoint = new URL(url).pathname;
+	let failure = null;
+
+	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+		await waitForRequestSlot();
+
+		let response = null;
+
+		try {
+			response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(requestTimeout) });
+
+			if (response.ok) {
+				return { ok: true, data: responseType === 'text' ? await response.text() : await response.json() };
+			}
+
+			if (response.status === 429) {
+				failure = steamError('rateLimited', { status: response.status });
+			}
+			else {
+				failure = steamError('http', {
+					message: `Failed to fetch data from the Steam API: ${response.status} ${response.statusText}`,
+					status: response.status,
+				});
+
+				// Other client errors will fail the same way again.
+				if (response.status < 500) return failure;
+			}
+		}
+		catch (error) {
+			if (error instanceof SyntaxError) {
+				return steamError('invalidResponse', { status: response?.status });
+			}
+
+			failure = steamError(error.name === 'TimeoutError' ? 'timeout' : 'network');
+		}
+
+		if (attempt < maxAttempts) {
+			const delay = getRetryDelay(attempt, response);
+			console.warn(`Warning | Steam request to ${endpoint} failed (${failure.error.message}), retrying in ${delay} ms.`);
+			await sleep(delay);
+		}
+	}
+
+	console.error(`Error | Steam request to ${endpoint} failed after ${maxAttempts} attempts: ${failure.error.message}`);
+	return failure;
+}
+
+/**
+ * Sends a form POST request to the Steam Web API.
+ *
+ * @param url
+ * @param {URLSearchParams} params
+ * @returns {Promise<Object>}
+ */
+function postSteamForm(url, params) {
+	return requestSteam(url, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/x-www-form-urlencoded',
+		},
+		body: params.toString(),
+	});
+}
+
+/**
+ * Checks whether published file details returned by the Steam API describe an available item.
+ * Items that were removed or cannot be seen only return their ID and result code.
+ *
+ * @param fileDetails
+ * @returns {boolean}
+ */
+function isValidItemDetails(fileDetails) {
+	return fileDetails.result !== undefined && Object.keys(fileDetails).length >= 3;
+}
+
+/**
+ * Fetches the published file details of multiple workshop items.
+ * IDs are de-duplicated and requested in batches using a single
+ * multi-item GetPublishedFileDetails request per batch.
+ * If a batch fails, the failed result still contains the items of the other batches as `data`.
+ *
+ * @param ids
+ * @returns {Promise<Object>} A result with a map of item ID to its published file details as `data`, including unavailable items.
+ */
+async function getPublishedFileDetails(ids) {
+	const uniqueIds = [...new Set(ids)];
+	const itemsResults = new Map();
+	let failure = null;
+
+	for (let i = 0; i < uniqueIds.length; i += steamItemBatchSize) {
+		const batch = uniqueIds.slice(i, i + steamItemBatchSize);
+
+		const params = new URLSearchParams();
+		params.append('itemcount', batch.length.toString());
+		batch.forEach((id, index) => params.append(`publishedfileids[${index}]`, id));
+
+		const result = await postSteamForm('https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/', params);
+		const details = result.data?.response?.publishedfiledetails;
+
+		if (!result.ok || !Array.isArray(details)) {
+			failure = result.ok ? steamError('invalidResponse') : result;
+			continue;
+		}
+
+		for (const fileDetails of details) {
+			if (!fileDetails.publishedfileid || !batch.includes(fileDetails.publishedfileid) || fileDetails.result === undefined) {
+				continue;
+			}
+
+			itemsResults.set(fileDetails.publishedfileid, fileDetails);
+		}
+	}
+
+	return failure ? { ...failure, data: itemsResults } : { ok: true, data: itemsResults };
+}
+
+/**
+ * Fetches the published file details of a single available workshop item.
+ *
+ * @param id
+ * @returns {Promise<Object>} A result with the item's published file details as `data`.
+ */
+async function getPublishedFile(id) {
+	if (!/^\d{1,20}$/.test(id || '')) return steamError('invalidInput');
+
+	const result = await getPublishedFileDetails([id]);
+	if (!result.ok) return steamError(result.error.code, result.error);
+
+	const fileDetails = result.data.get(id);
+	return fileDetails && isValidItemDetails(fileDetails) ? { ok: true, data: fileDetails } : steamError('notFound');
+}
+
+/**
+ * Fetches the child items of multiple workshop collections.
+ * IDs are de-duplicated and requested in batches using a single
+ * multi-item GetCollectionDetails request per batch.
+ * If a batch fails, the failed result still contains the collections of the other batches as `data`.
+ *
+ * @param ids
+ * @returns {Promise<Object>} A result with a map of collection ID to its child item IDs as `data`, containing only valid collections.
+ */
+async function getCollectionDetails(ids) {
+	const uniqueIds = [...new Set(ids)];
+	const collectionsChildren = new Map();
+	let failure = null;
+
+	for (let i = 0; i < uniqueIds.length; i += steamItemBatchSize) {
+		const batch = uniqueIds.slice(i, i + steamItemBatchSize);
+
+		const params = new URLSearchParams();
+		params.append('collectioncount', batch.length.toString());
+		batch.forEach((id, index) => params.append(`publishedfileids[${index}]`, id));
+
+		const result = await postSteamForm('https://api.steampowered.com/ISteamRemoteStorage/GetCollectionDetails/v1/', params);
+		const details = result.data?.response?.collectiondetails;
+
+		if (!result.ok || !Array.isArray(details)) {
+			failure = result.ok ? steamError('invalidResponse') : result;
+			continue;
+		}
+
+		for (const collectionDetails of details) {
+			if (!collectionDetails.publishedfileid || !batch.includes(collectionDetails.publishedfileid) || collectionDetails.result !== 1) {
+				continue;
+			}
+
+			collectionsChildren.set(
+				collectionDetails.publishedfileid,
+				(collectionDetails.children || []).map(child => child.publishedfileid),
+			);
+		}
+	}
+
+	return failure ? { ...failure, data: collectionsChildren } : { ok: true, data: collectionsChildren };
+}
+
+/**
+ * Fetches the child items of a single public workshop collection.
+ *
+ * @param id
+ * @returns {Promise<Object>} A result with the collection's child item IDs as `data`.
+ */
+async function getCollection(id) {
+	if (!/^\d{1,20}$/.test(id || '')) return steamError('invalidInput');
+
+	const result = await getCollectionDetails([id]);
+	if (!result.ok) return steamError(result.error.code, result.error);
+
+	return result.data.has(id)
+		? { ok: true, data: result.data.get(id) }
+		: steamError('notFound', { message: `${steamErrorMessages.notFound} (Keep in mind collections must be public)`, key: 'collectionNotFound' });
+}
+
+/**
+ * Fetches the public profile of a Steam account.
+ *
+ * @param steamId64
+ * @returns {Promise<Object>} A result with the player summary as `data`.
+ */
+async function getPlayerSummary(steamId64) {
+	if (!/^\d{17}$/.test(steamId64 || '')) {
+		return steamError('invalidInput', { message: 'Invalid Steam ID64 format. It should be a 17-digit number.' });
+	}
+
+	if (!process.env.STEAM_API_KEY) return steamError('missingApiKey');
+
+	const params = new URLSearchParams();
+	params.append('key', process.env.STEAM_API_KEY);
+	params.append('steamids', steamId64);
+
+	const result = await requestSteam(`https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?${params.toString()}`);
+	if (!result.ok) return result;
+
+	const player = result.data?.response?.players?.[0];
+	return player ? { ok: true, data: player } : steamError('notFound', { message: 'No account details found for the provided Steam ID64.' });
+}
+
+/**
+ * Fetches the store details of a Steam app.
+ *
+ * @param appId
+ * @returns {Promise<Object>} A result with the app details as `data`.
+ */
+async function getAppDetails(appId) {
+	if (!/^\d+$/.test(String(appId ?? '')) || Number(appId) === 0) return steamError('invalidInput');
+
+	const result = await requestSteam(`https://store.steampowered.com/api/appdetails?appids=${appId}`);
+	if (!result.ok) return result;
+
+	const appDetails = result.data?.[appId];
+	return appDetails?.success ? { ok: true, data: appDetails.data } : steamError('notFound', { message: `No game details found for the provided game ID: ${appId}` });
+}
+
+module.exports = {
+	steamErrorMessages,
+	formatSteamError,
+	requestSteam,
+	isValidItemDetails,
+	getPublishedFileDetails,
+	getPublishedFile,
+	getCollectionDetails,
+	getCollection,
+	getPlayerSummary,
+	getAppDetails,
+};
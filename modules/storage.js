@@ -0,0 +1,63 @@
+/**
+ * @file storage.js
+ * Selects the storage backend used for notification subscriptions.
+ *
+ * Every backend implements the same interface, used through modules/common.js:
+ * `isNotification`, `addNotification`, `removeNotification`, `removeAllNotifications`,
+ * `getAllNotifications`, `getGuildNotifications`, `getChannelNotifications`,
+ * `getNotificationLastUpdated`, `setNotificationLastUpdated`, `updateNotification`,
+ * `moveChannelNotifications`, `importNotifications` and `flush`.
+ *
+ * The backend is chosen with the STORAGE_BACKEND environment variable ('json' or 'sqlite'),
+ * and the SQLite database file with SQLITE_PATH.
+ */
+
+const { getDataFilePath } = require('./data');
+
+const storageBackends = {
+	json: () => require('./json-storage').createJsonStorage(),
+	sqlite: () => require('./sqlite-storage').createSqliteStorage(process.env.SQLITE_PATH || getDataFilePath('notifications.db')),
+};
+
+let storage = null;
+
+/**
+ * Gets the configured storage backend, creating it on first use.
+ *
+ * @returns {Object}
+ */
+function getStorage() {
+	if (!storage) {
+		const backendName = process.env.STORAGE_BACKEND || 'json';
+
+		if (!storageBackends[backendName]) {
+			throw new Error(`Unknown storage backend: ${backendName}`);
+		}
+
+		storage = storageBackends[backendName]();
+		console.log(`Info | Using ${storage.name} storage backend`);
+	}
+
+	return storage;
+}
+
+/**
+ * Writes any pending changes of the storage backend, if it was created.
+ * Called on shutdown so no recent changes are lost.
+ */
+function flushStorage() {
+	if (!storage) return;
+
+	try {
+		storage.flush();
+	}
+	catch (error) {
+		console.error('Error | Failed to flush storage:', error);
+	}
+}
+
+module.exports = {
+	storageBackends,
+	getStorage,
+	flushStorage,
+};
@@ -0,0 +1,187 @@
+/**
+ * @file suspension.js
+ * Suspends subscriptions whose channel can no longer be found, instead of deleting them straight away.
+ *
+ * Suspended subscriptions are not polled. They are resumed if their channel comes back,
+ * can be reassigned to another channel by an administrator, and are only purged once
+ * the guild's grace period has passed. Each step is reported to the guild's log channel.
+ * Channels that are already suspended are only fetched from Discord again once per refetch interval.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getGuildNotifications, updateNotification, removeNotification } = require('./common');
+const { getGuildSettings, removeChannelSettings } = require('./settings');
+const { clearDigest } = require('./digest');
+const { sendOrQueue } = require('./outbox');
+const { timestampStyles, formatTimestamp } = require('./formatting');
+const { t, getGuildLanguage } = require('./i18n');
+
+const dayLength = 24 * 60 * 60 * 1000;
+const suspendedRefetchInterval = 60 * 60 * 1000;
+
+const lastChannelFetches = new Map();
+
+/**
+ * Gets when a suspended subscription will be purged.
+ *
+ * @param suspendedAt - Milliseconds since the epoch.
+ * @param gracePeriodDays
+ * @returns {number} Milliseconds since the epoch.
+ */
+function getPurgeTime(suspendedAt, gracePeriodDays) {
+	return suspendedAt + gracePeriodDays * dayLength;
+}
+
+/**
+ * Gets every channel in a guild with suspended subscriptions.
+ *
+ * @param guildId
+ * @returns {Array<{channelId: string, suspendedAt: number, notifications: Array}>}
+ */
+function getSuspendedChannels(guildId) {
+	return Object.entries(getGuildNotifications(guildId))
+		.map(([channelId, notifications]) => ({
+			channelId,
+			suspendedAt: Math.min(...notifications.map(n => n.suspendedAt || Infinity)),
+			notifications,
+		}))
+		.filter(channel => Number.isFinite(channel.suspendedAt));
+}
+
+/**
+ * Sends an alert embed to a guild's log channel.
+ * Guilds without a log channel only have the alert logged to the console.
+ *
+ * @param client
+ * @param guildId
+ * @param embedData
+ * @returns {Promise<void>}
+ */
+async function sendAdminAlert(client, guildId, embedData) {
+	const { logChannelId } = getGuildSettings(guildId);
+
+	if (!logChannelId || !client.channels.cache.has(logChannelId)) {
+		console.warn(`Warning | No log channel set for Guild: ${guildId}, alert not posted: ${embedData.data.title}`);
+		return;
+	}
+
+	await sendOrQueue(client, { guildId, channelId: logChannelId }, { embeds: [embedData] });
+}
+
+/**
+ * Builds the alert embed posted when subscriptions are suspended, resumed or purged.
+ *
+ * @param client
+ * @param language - The guild's language.
+ * @param {'resumed'|'suspended'|'deleted'} event
+ * @param variables - The variables of the alert description.
+ * @param notifications
+ * @param color
+ * @returns {EmbedBuilder}
+ */
+function buildAlertEmbed(client, language, event, variables, notifications, color) {
+	const items = notifications.map(n => `\`${n.id}\` (${t(language, n.type === 'collection-update' ? 'common.types.collection' : 'common.types.addon')})`);
+
+	return new EmbedBuilder()
+		.setTitle(t(language, `notifications.suspension.${event}Title`))
+		.setDescription(t(language, `notifications.suspension.${event}Description`, variables))
+		.setColor(color)
+		.addFields({ name: t(language, 'notifications.suspension.subscriptions'), value: items.join('\n').slice(0, 1024) || t(language, 'common.none'), inline: false })
+		.setFooter({
+			text: client.user.displayName,
+			iconURL: client.user.displayAvatarURL(),
+		})
+		.setTimestamp();
+}
+
+/**
+ * Looks up a subscribed channel, fetching it from Discord if it is missing from the cache.
+ * Channels whose subscriptions are all suspended are only fetched once per refetch interval,
+ * unless they are about to be purged, so deleted channels do not cause API requests on every check.
+ *
+ * @param guild
+ * @param channelId
+ * @param notifications - The channel's subscriptions.
+ * @param {boolean} purgeDue - Whether any of the channel's subscriptions are due to be purged.
+ * @param now - Milliseconds since the epoch.
+ * @returns {Promise<Object|null>}
+ */
+async function findChannel(guild, channelId, notifications, purgeDue, now) {
+	const channel = guild.channels.cache.get(channelId);
+	if (channel) return channel;
+
+	const isSuspended = notifications.every(n => n.suspendedAt);
+	if (isSuspended && !purgeDue && now - (lastChannelFetches.get(channelId) || 0) < suspendedRefetchInterval) {
+		return null;
+	}
+
+	lastChannelFetches.set(channelId, now);
+	return guild.channels.fetch(channelId).catch(() => null);
+}
+
+/**
+ * Suspends the subscriptions of channels that can no longer be found, resumes those whose channel has come back,
+ * and purges those whose grace period has passed, along with the channel's settings and pending digest.
+ * Channels missing from the cache are fetched before being treated as missing.
+ *
+ * @param client
+ * @returns {Promise<void>}
+ */
+async function checkMissingChannels(client) {
+	const now = Date.now();
+
+	for (const guild of client.guilds.cache.values()) {
+		const guildId = guild.id;
+		const { suspensionGraceDays } = getGuildSettings(guildId);
+		const language = getGuildLanguage(guildId);
+
+		for (const [channelId, notifications] of Object.entries(getGuildNotifications(guildId))) {
+			const expired = notifications.filter(n => n.suspendedAt && getPurgeTime(n.suspendedAt, suspensionGraceDays) <= now);
+			const channel = await findChannel(guild, channelId, notifications, expired.length > 0, now);
+
+			if (channel) {
+				lastChannelFetches.delete(channelId);
+
+				const resumed = notifications.filter(n => n.suspendedAt);
+				if (resumed.length === 0) continue;
+
+				resumed.forEach(n => updateNotification(guildId, channelId, n.type, n.id, { suspendedAt: null }));
+				console.log(`Info | Resumed ${resumed.length} suspended subscription(s) in Guild: ${guildId}, Channel: ${channelId}`);
+
+				await sendAdminAlert(client, guildId, buildAlertEmbed(client, language, 'resumed', { channel: channelId }, resumed, '#00FF00'));
+				continue;
+			}
+
+			const suspended = notifications.filter(n => !n.suspendedAt);
+
+			if (suspended.length > 0) {
+				suspended.forEach(n => updateNotification(guildId, channelId, n.type, n.id, { suspendedAt: now }));
+				console.warn(`Warning | Suspended ${suspended.length} subscription(s) for missing channel in Guild: ${guildId}, Channel: ${channelId}`);
+
+				await sendAdminAlert(client, guildId, buildAlertEmbed(client, language, 'suspended', {
+					channel: channelId,
+					time: formatTimestamp(getPurgeTime(now, suspensionGraceDays) / 1000, timestampStyles.relative),
+				}, suspended, '#FFA500'));
+			}
+
+			if (expired.length > 0) {
+				expired.forEach(n => removeNotification(guildId, channelId, n.type, n.id));
+				console.log(`Info | Purged ${expired.length} suspended subscription(s) in Guild: ${guildId}, Channel: ${channelId}`);
+
+				if (expired.length === notifications.length) {
+					removeChannelSettings(guildId, channelId);
+					clearDigest(channelId);
+					lastChannelFetches.delete(channelId);
+				}
+
+				await sendAdminAlert(client, guildId, buildAlertEmbed(client, language, 'deleted', { channel: channelId, days: suspensionGraceDays }, expired, '#FF0000'));
+			}
+		}
+	}
+}
+
+module.exports = {
+	getPurgeTime,
+	getSuspendedChannels,
+	checkMissingChannels,
+};
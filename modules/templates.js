@@ -0,0 +1,147 @@
+/**
+ * @file templates.js
+ * Stores the per-guild templates used to build addon and collection update embeds.
+ *
+ * A template sets the embed's title, description and colour, and which fields are shown.
+ * The title and description can contain placeholders such as `{title}` or `{changelog}`,
+ * which are replaced with the item's details when an update is posted.
+ * Templates are stored in the guild's settings as overrides of the default templates.
+ */
+
+const { getGuildSettings, setGuildSetting } = require('./settings');
+const { t, getGuildLanguage } = require('./i18n');
+
+const templatePlaceholders = {
+	title: 'The item\'s title.',
+	id: 'The item\'s Workshop ID.',
+	creator: 'The Steam name of the item\'s creator.',
+	changelog: 'The newest change note, or a summary of the changed items for collections.',
+	size: 'The file size of an addon, or the number of items in a collection.',
+	url: 'The item\'s Workshop URL.',
+};
+
+const templateFields = {
+	'addon-update': {
+		title: 'Title',
+		lastUpdated: 'Last Updated',
+		created: 'Date Created',
+		visibility: 'Visibility',
+		size: 'File Size',
+		subscriptions: 'Subscriptions',
+		changelog: 'Change Notes',
+		url: 'Addon URL',
+	},
+	'collection-update': {
+		title: 'Title',
+		lastUpdated: 'Last Updated',
+		created: 'Date Created',
+		changes: 'Changed Items',
+		url: 'Collection URL',
+	},
+};
+
+const templateTranslationKeys = {
+	'addon-update': 'notifications.addonUpdate',
+	'collection-update': 'notifications.collectionUpdate',
+};
+
+/**
+ * Gets the default template for an update type in a language.
+ *
+ * @param {'addon-update'|'collection-update'} type
+ * @param language
+ * @returns {{title: string, description: string, color: string, fields: string[]}}
+ */
+function getDefaultTemplate(type, language) {
+	return {
+		title: t(language, `${templateTranslationKeys[type]}.title`),
+		description: t(language, `${templateTranslationKeys[type]}.description`),
+		color: '#3C3C3C',
+		fields: Object.keys(templateFields[type]),
+	};
+}
+
+/**
+ * Gets a guild's template for an update type, merged over the default template in the guild's language.
+ *
+ * @param guildId
+ * @param {'addon-update'|'collection-update'} type
+ * @returns {{title: string, description: string, color: string, fields: string[]}}
+ */
+function getTemplate(guildId, type) {
+	const { templates } = getGuildSettings(guildId);
+	return { ...getDefaultTemplate(type, getGuildLanguage(guildId)), ...templates?.[type] };
+}
+
+/**
+ * Saves changes to a guild's template for an update type, or resets it to the default template.
+ * Only changed values are stored, so unchanged text keeps following the guild's language.
+ *
+ * @param guildId
+ * @param {'addon-update'|'collection-update'} type
+ * @param changes - The changed template values, or null to reset the template.
+ * @returns {Object} The guild's template for the type.
+ */
+function setTemplate(guildId, type, changes) {
+	const { templates } = getGuildSettings(guildId);
+	const updatedTemplates = { ...templates };
+
+	if (changes) {
+		updatedTemplates[type] = { ...updatedTemplates[type], ...changes };
+	}
+	else {
+		delete updatedTemplates[type];
+	}
+
+	setGuildSetting(guildId, 'templates', updatedTemplates);
+	return getTemplate(guildId, type);
+}
+
+/**
+ * Replaces the placeholders in a template text with their values.
+ * Unknown placeholders are left as they are.
+ *
+ * @param text
+ * @param values
+ * @returns {string}
+ */
+function renderTemplate(text, values) {
+	return text.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+}
+
+/**
+ * Parses a comma separated list of field names for an update type.
+ *
+ * @param {'addon-update'|'collection-update'} type
+ * @param input
+ * @returns {string[]|null} The field names in display order, or null if any field is unknown.
+ */
+function parseTemplateFields(type, input) {
+	const fieldNames = input.split(',').map(field => field.trim()).filter(field => field.length > 0);
+
+	if (fieldNames.some(field => !templateFields[type][field])) return null;
+
+	return Object.keys(templateFields[type]).filter(field => fieldNames.includes(field));
+}
+
+/**
+ * Parses a hex colour such as `#FF8800` or `ff8800`.
+ *
+ * @param input
+ * @returns {string|null} The colour with a leading `#`, or null if the input is not a valid colour.
+ */
+function parseColor(input) {
+	const match = /^#?([0-9a-f]{6})$/i.exec(input.trim());
+	return match ? `#${match[1].toUpperCase()}` : null;
+}
+
+module.exports = {
+	templatePlaceholders,
+	templateFields,
+	getDefaultTemplate,
+	getTemplate,
+	setTemplate,
+	renderTemplate,
+	parseTemplateFields,
+	parseColor,
+};
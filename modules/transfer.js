@@ -0,0 +1,281 @@
+/**
+ * @file transfer.js
+ * Converts a guild's subscriptions to and from the JSON and CSV files used by `/watch-export` and `/watch-import`.
+ *
+ * Only the subscription's configuration is exported: its channel, type, item ID, mentions and milestones.
+ * Update times, snapshots and other state are rebuilt by the poller after an import.
+ */
+
+const { getGuildNotifications } = require('./common');
+const { parseMilestones } = require('./milestones');
+const { withItemNames } = require('./item-cache');
+const { maxMentions } = require('./mentions');
+const { t } = require('./i18n');
+
+const exportFormatVersion = 1;
+
+const subscriptionTypes = ['addon-update', 'collection-update'];
+
+const csvColumns = ['channel_id', 'type', 'id', 'title', 'mention_roles', 'mention_users', 'milestones'];
+
+/**
+ * Gets the subscriptions of a guild, or of one of its channels, as export records.
+ *
+ * @param guildId
+ * @param [channelId] - Only export this channel's subscriptions.
+ * @returns {Array<{channelId: string, type: string, id: string, title: (string|null), mentions: Object, milestones: (Object|null)}>}
+ */
+function getExportRecords(guildId, channelId = null) {
+	return Object.entries(getGuildNotifications(guildId))
+		.filter(([notificationChannelId]) => !channelId || notificationChannelId === channelId)
+		.flatMap(([notificationChannelId, notifications]) => withItemNames(notifications)
+			.filter(n => subscriptionTypes.includes(n.type))
+			.map(n => ({
+				channelId: notificationChannelId,
+				type: n.type,
+				id: n.id,
+				title: n.name || n.snapshot?.title || null,
+				mentions: { roles: n.mentions?.roles || [], users: n.mentions?.users || [] },
+				milestones: n.milestones ? { thresholds: n.milestones.thresholds || null } : null,
+			})));
+}
+
+/**
+ * Quotes a CSV value if it contains a separator, quote or line break.
+ * Values starting with a formula character, tab or carriage return are prefixed with `'`, so spreadsheet apps
+ * never run user-supplied text such as workshop titles as a formula.
+ *
+ * @param value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+	const rawText = value === null || value === undefined ? '' : String(value);
+	const text = /^[=+\-@\t\r]/.test(rawText) ? `'${rawText}` : rawText;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV text into rows of values. Quoted values may contain separators, quotes and line breaks.
+ *
+ * @param text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let value = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				value += '"';
+				i++;
+			}
+			else if (char === '"') {
+				quoted = false;
+			}
+			else {
+				value += char;
+			}
+		}
+		else if (char === '"') {
+			quoted = true;
+		}
+		else if (char === ',') {
+			row.push(value);
+			value = '';
+		}
+		else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(value);
+			rows.push(row);
+			row = [];
+			value = '';
+		}
+		else {
+			value += char;
+		}
+	}
+
+	if (value.length > 0 || row.length > 0) {
+		row.push(value);
+		rows.push(row);
+	}
+
+	return rows.filter(values => values.some(cell => cell.trim().length > 0));
+}
+
+/**
+ * Formats export records as the contents of an export file.
+ *
+ * @param records
+ * @param {'json'|'csv'} format
+ * @returns {string}
+ */
+function formatExport(records, format) {
+	if (format === 'csv') {
+		const lines = records.map(record => [
+			record.channelId,
+			record.type,
+			record.id,
+			record.title,
+			record.mentions.roles.join(';'),
+			record.mentions.users.join(';'),
+			!record.milestones ? '' : record.milestones.thresholds ? record.milestones.thresholds.join(';') : 'default',
+		].map(escapeCsvValue).join(','));
+
+		return [csvColumns.join(','), ...lines].join('\r\n') + '\r\n';
+	}
+
+	return JSON.stringify({ version: exportFormatVersion, exportedAt: new Date().toISOString(), subscriptions: records }, null, 4);
+}
+
+/**
+ * Splits a list of IDs separated by semicolons.
+ *
+ * @param text
+ * @returns {string[]}
+ */
+function splitIds(text) {
+	return (text || '').split(';').map(value => value.trim()).filter(value => value.length > 0);
+}
+
+/**
+ * Converts the rows of a CSV export file to raw import records.
+ *
+ * @param text
+ * @param [locale] - The locale of the error message.
+ * @returns {Object[]}
+ */
+function readCsvRecords(text, locale = null) {
+	const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+	const columns = (header || []).map(column => column.trim().toLowerCase());
+
+	if (!columns.includes('type') || !columns.includes('id')) {
+		throw new Error(t(locale, 'commands.watch-import.missingCsvColumns'));
+	}
+
+	return rows.map(values => {
+		const row = Object.fromEntries(columns.map((column, index) => [column, (values[index] || '').trim()]));
+		const milestones = row.milestones?.toLowerCase();
+
+		return {
+			channelId: row.channel_id || null,
+			type: row.type,
+			id: row.id,
+			title: row.title?.replace(/^'(?=[=+\-@\t\r])/, '') || null,
+			mentions: { roles: splitIds(row.mention_roles), users: splitIds(row.mention_users) },
+			milestones: !milestones ? null : milestones === 'default' ? { thresholds: null } : { thresholds: milestones.replace(/;/g, ',') },
+		};
+	});
+}
+
+/**
+ * Converts the contents of a JSON export file to raw import records.
+ * Both a full export file and a plain array of subscriptions are accepted.
+ *
+ * @param text
+ * @param [locale] - The locale of the error message.
+ * @returns {Object[]}
+ */
+function readJsonRecords(text, locale = null) {
+	const data = JSON.parse(text);
+	const subscriptions = Array.isArray(data) ? data : data?.subscriptions;
+
+	if (!Array.isArray(subscriptions)) {
+		throw new Error(t(locale, 'commands.watch-import.missingJsonList'));
+	}
+
+	// Lists that are not arrays are kept as they are, so validateRecord rejects the record instead of throwing.
+	const readIds = value => (Array.isArray(value) ? value.map(String) : value ?? []);
+	const readThresholds = value => (Array.isArray(value) ? value.join(',') : value || null);
+
+	return subscriptions.map(subscription => ({
+		channelId: subscription?.channelId ? String(subscription.channelId) : null,
+		type: subscription?.type,
+		id: subscription?.id !== undefined ? String(subscription.id) : '',
+		title: typeof subscription?.title === 'string' ? subscription.title : null,
+		mentions: { roles: readIds(subscription?.mentions?.roles), users: readIds(subscription?.mentions?.users) },
+		milestones: !subscription?.milestones ? null : { thresholds: readThresholds(subscription.milestones.thresholds) },
+	}));
+}
+
+/**
+ * Validates a raw import record.
+ *
+ * @param record
+ * @param [locale] - The locale of the reason.
+ * @returns {string|null} The reason the record is invalid, or null if it is valid.
+ */
+function validateRecord(record, locale = null) {
+	const isId = value => typeof value === 'string' && /^\d{1,20}$/.test(value);
+
+	if (!subscriptionTypes.includes(record.type)) return t(locale, 'commands.watch-import.invalid.type', { type: record.type || '' });
+	if (!isId(record.id)) return t(locale, 'commands.watch-import.invalid.id');
+	if (record.channelId !== null && !isId(record.channelId)) return t(locale, 'commands.watch-import.invalid.channelId');
+	if (!Array.isArray(record.mentions.roles) || !Array.isArray(record.mentions.users)) return t(locale, 'commands.watch-import.invalid.mentions');
+	if (![...record.mentions.roles, ...record.mentions.users].every(isId)) return t(locale, 'commands.watch-import.invalid.mentionId');
+	if (record.mentions.roles.length > maxMentions || record.mentions.users.length > maxMentions) return t(locale, 'commands.watch-import.invalid.mentionCount', { max: maxMentions });
+	if (record.milestones?.thresholds && (typeof record.milestones.thresholds !== 'string' || !parseMilestones(record.milestones.thresholds))) {
+		return t(locale, 'commands.watch-import.invalid.milestones');
+	}
+
+	return null;
+}
+
+/**
+ * Parses the contents of an import file.
+ * Invalid rows are returned separately with the reason they were rejected.
+ *
+ * @param text
+ * @param {'json'|'csv'} format
+ * @param [locale] - The locale of the error messages and rejection reasons.
+ * @returns {{records: Object[], invalid: Array<{row: number, reason: string}>}}
+ */
+function parseImport(text, format, locale = null) {
+	const rawRecords = format === 'csv' ? readCsvRecords(text, locale) : readJsonRecords(text, locale);
+	const records = [];
+	const invalid = [];
+
+	rawRecords.forEach((record, index) => {
+		const reason = validateRecord(record, locale);
+
+		if (reason) {
+			invalid.push({ row: index + 1, reason });
+			return;
+		}
+
+		records.push({
+			...record,
+			row: index + 1,
+			milestones: record.milestones ? { thresholds: record.milestones.thresholds ? parseMilestones(record.milestones.thresholds) : null, lastAnnounced: null } : null,
+		});
+	});
+
+	return { records, invalid };
+}
+
+/**
+ * Detects the format of an import file from its name, or from its contents if the name has no known extension.
+ *
+ * @param fileName
+ * @param text
+ * @returns {'json'|'csv'}
+ */
+function detectImportFormat(fileName, text) {
+	if (/\.json$/i.test(fileName)) return 'json';
+	if (/\.csv$/i.test(fileName)) return 'csv';
+
+	return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+module.exports = {
+	subscriptionTypes,
+	getExportRecords,
+	formatExport,
+	parseImport,
+	detectImportFormat,
+};